@@ -1,16 +1,25 @@
 import Event from "../models/Event.js";
 import Transaction from "../models/Transaction.js";
-import FamilyPermission from "../models/FamilyPermission.js";
 import Category from "../models/Category.js";
 import OneSignalPkg from "@onesignal/node-onesignal";
 import { oneSignalClient } from "../utils/onesignal.js";
 import NotificationModel from "../models/Notification.js";
+import { can } from "../utils/capabilities.js";
+import { listMembersWith } from "../utils/workspace.js";
+import EventShare from "../models/EventShare.js";
+import { eventScope, findAccessibleEvent, listEventSharesWith } from "../utils/eventAccess.js";
+import { SCHEDULE_FIELDS, validateSchedule } from "../utils/eventSchedule.js";
 const { Notification } = OneSignalPkg;
 /**
  * @swagger
  * tags:
  *   name: Events
- *   description: Manage events and payments
+ *   description: >
+ *     Manage events and payments. All event and payment routes work inside one
+ *     household: send its owner id as the X-Workspace-Id header (or ?workspace_id=),
+ *     otherwise the saved active workspace is used (see /api/workspaces).
+ *     Events shared one by one (see /api/events/{id}/shares) are reachable by id
+ *     from any workspace and are listed in the user's own workspace.
  */
 
 /**
@@ -39,6 +48,20 @@ const { Notification } = OneSignalPkg;
  *           type: string
  *         notes:
  *           type: string
+ *         starts_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         ends_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         venue:
+ *           $ref: '#/components/schemas/Venue'
+ *         functions:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/EventFunction'
  *         user_id:
  *           type: object
  *           properties:
@@ -48,6 +71,41 @@ const { Notification } = OneSignalPkg;
  *               type: string
  *             email:
  *               type: string
+ *     Venue:
+ *       type: object
+ *       nullable: true
+ *       properties:
+ *         name:
+ *           type: string
+ *         address:
+ *           type: string
+ *         city:
+ *           type: string
+ *         map_url:
+ *           type: string
+ *     EventFunction:
+ *       type: object
+ *       description: One ceremony of the event, e.g. haldi or sangeet
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Send it back on update to keep the same function
+ *         name:
+ *           type: string
+ *           description: Defaults to the type ("Haldi")
+ *         type:
+ *           type: string
+ *           enum: [haldi, mehendi, sangeet, baraat, wedding, reception, other]
+ *         starts_at:
+ *           type: string
+ *           format: date-time
+ *         ends_at:
+ *           type: string
+ *           format: date-time
+ *         venue:
+ *           $ref: '#/components/schemas/Venue'
+ *         notes:
+ *           type: string
  *     Transaction:
  *       type: object
  *       properties:
@@ -67,29 +125,31 @@ const { Notification } = OneSignalPkg;
  *           type: string
  */
 
-// ✅ Helper: check access
-async function checkAccess(memberId, ownerId, required) {
-  // ✅ Direct owner always has full access
-  if (memberId.equals(ownerId)) return true;
-
-  const perm = await FamilyPermission.findOne({ owner_id: ownerId, member_id: memberId });
-  if (!perm) return false;
-
-  // ✅ Treat 'owner' permission as full access (read + write)
-  if (perm.permission === "owner") return true;
+// ✅ Helper: hide amounts from members without view_financials
+const maskFinancials = (event, workspace) => {
+  if (can(workspace, "view_financials")) return event;
+  const { advance_payment, booking_total_value, ...masked } = event;
+  return masked;
+};
 
-  // ✅ Handle normal permissions
-  if (required === "read" && ["read", "write"].includes(perm.permission)) return true;
-  if (required === "write" && perm.permission === "write") return true;
+// ✅ Helper: payments the member may see (their own unless view_all_transactions)
+const visibleTransactions = (transactions, workspace, user) =>
+  can(workspace, "view_all_transactions")
+    ? transactions
+    : transactions.filter((t) => (t.added_by?._id ?? t.added_by)?.toString() === user._id.toString());
 
-  return false;
-}
+// Fields a member may change through PUT /events/:id (plus SCHEDULE_FIELDS, validated together)
+const EDITABLE_FIELDS = ["event_name", "contact_mobile", "payment_method", "notes", "category_id", "status", "priority"];
+const FINANCIAL_FIELDS = ["booking_total_value", "advance_payment"];
 
 /**
  * @swagger
  * /api/events:
  *   get:
  *     summary: Get all accessible events (own + shared)
+ *     description: >
+ *       Events of the selected workspace. In your own workspace, events shared
+ *       with you individually are included too, marked with shared_permission.
  *     tags: [Events]
  *     security:
  *       - bearerAuth: []
@@ -107,33 +167,24 @@ export const getEvents = async (req, res) => {
   try {
     const user = req.user;
 
-    // ✅ Get all permissions where user is a member
-    const familyPerms = await FamilyPermission.find({ member_id: user._id }).lean();
+    // ✅ Only the selected workspace (household)
+    const workspace = req.workspace;
+    const ownerId = workspace.owner_id;
 
-    // Separate accessible owners
-    const ownerIdsWithAccess = familyPerms.map((p) => p.owner_id.toString());
-    const ownerIdsWithFullAccess = familyPerms
-      .filter((p) => p.permission === "owner") // 👑 treat as owner
-      .map((p) => p.owner_id.toString());
-
-    // ✅ Determine if user is full owner (main or treated)
-    const isMainOwner = !familyPerms.length; // if no permission record → main owner
-    const hasOwnerPermission =
-      isMainOwner ||
-      familyPerms.some((p) => p.permission === "owner") ||
-      ownerIdsWithFullAccess.length > 0;
+    // ✅ Events shared one by one: they add to the access on this workspace's
+    // events, and shares from other households are listed in the user's own workspace
+    const shares = await EventShare.find({ user_id: user._id }).lean();
+    const shareByEvent = new Map(shares.map((s) => [s.event_id.toString(), s]));
+    const sharedElsewhere = workspace.own
+      ? shares.filter((s) => !s.owner_id.equals(ownerId)).map((s) => s.event_id)
+      : [];
 
     // ✅ Build query for events
     const eventsQuery = {
-      user_id: { $in: [user._id, ...ownerIdsWithAccess] },
+      $or: [{ user_id: ownerId }, { _id: { $in: sharedElsewhere } }],
       is_deleted: false,
     };
 
-    // 👁️ If user is not owner, exclude draft events (status: 0)
-    if (!hasOwnerPermission) {
-      eventsQuery.status = { $ne: 0 };
-    }
-
     // ✅ Fetch all events (owned or shared)
     const events = await Event.find(eventsQuery)
       .populate("user_id", "fullname email")
@@ -141,51 +192,42 @@ export const getEvents = async (req, res) => {
       .sort({ createdAt: -1 })
       .lean();
 
-    const eventIds = events.map((e) => e._id);
+    // ✅ Access is worked out per event (workspace capabilities + event share)
+    const visible = events
+      .map((event) => ({
+        event,
+        scope: eventScope(workspace, shareByEvent.get(event._id.toString()), event.user_id?._id ?? ownerId),
+      }))
+      // 👁️ Draft events (status: 0) are only for those who can edit them
+      .filter(({ event, scope }) => scope && (event.status !== 0 || can(scope, "edit_events")));
+
+    const eventIds = visible.map(({ event }) => event._id);
 
     // ✅ Fetch transactions
-    let transactionsQuery = {
+    const transactions = await Transaction.find({
       event_id: { $in: eventIds },
       deleted_at: null,
-    };
-
-    // 👁️ If user has only read/write permission → restrict to their own transactions
-    if (!hasOwnerPermission) {
-      transactionsQuery.added_by = user._id;
-    }
-
-    const transactions = await Transaction.find(transactionsQuery)
+    })
       .populate("added_by", "fullname email")
       .sort({ createdAt: 1 })
       .lean();
 
-    // ✅ Attach transactions properly & mask sensitive fields for read/write users
-    const eventsWithTransactions = events.map((event) => {
-      const eventOwnerId = event.user_id._id.toString();
-      const isEventOwner =
-        eventOwnerId === user._id.toString() ||
-        ownerIdsWithFullAccess.includes(eventOwnerId);
-
-      const eventTransactions = hasOwnerPermission
-        ? transactions.filter((t) => t.event_id.toString() === event._id.toString())
-        : transactions.filter(
-          (t) =>
-            t.event_id.toString() === event._id.toString() &&
-            t.added_by._id.toString() === user._id.toString()
-        );
-
-      // 🛡 Mask sensitive fields if user is not an owner
-      const maskedEvent = { ...event };
-      if (!hasOwnerPermission) {
-        delete maskedEvent.advance_payment;
-        delete maskedEvent.booking_total_value;
-      }
+    // ✅ Attach transactions properly & mask sensitive fields
+    const eventsWithTransactions = visible.map(({ event, scope }) => {
+      const eventTransactions = transactions.filter(
+        (t) => t.event_id.toString() === event._id.toString()
+      );
+
+      // 🛡 Mask sensitive fields without view_financials
+      const maskedEvent = maskFinancials(event, scope);
 
       return {
         ...maskedEvent,
         category_name: event.category_id?.name || null,
         category_status: event.category_id?.status ?? null,
-        transactions: eventTransactions,
+        ...(scope.shared && { shared_permission: scope.shared }),
+        // 👁️ Without view_all_transactions → only their own transactions
+        transactions: visibleTransactions(eventTransactions, scope, user),
       };
     });
 
@@ -234,6 +276,21 @@ export const getEvents = async (req, res) => {
  *                 type: string
  *                 enum: [low, medium, high]
  *                 description: Priority level of the event
+ *               starts_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Optional; without it the summary shows the start of the earliest function
+ *               ends_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Optional; without it the summary shows the end of the latest function
+ *               venue:
+ *                 $ref: '#/components/schemas/Venue'
+ *               functions:
+ *                 type: array
+ *                 description: Must fall within starts_at/ends_at when those are given
+ *                 items:
+ *                   $ref: '#/components/schemas/EventFunction'
  *     responses:
  *       201:
  *         description: Event created successfully
@@ -302,27 +359,38 @@ export const createEvent = async (req, res) => {
       return res.status(422).json({ error: "priority must be one of: low, medium, high" });
     }
 
-    // ✅ Determine event owner (if member, use owner's ID)
-    let ownerId = user._id;
-    const familyPermission = await FamilyPermission.findOne({ member_id: user._id });
-    if (familyPermission) {
-      ownerId = familyPermission.owner_id;
+    // ✅ Validate dates, venue and functions
+    const { schedule, error: scheduleError } = validateSchedule(req.body);
+    if (scheduleError) {
+      return res.status(422).json({ error: scheduleError });
     }
 
+    // ✅ Event belongs to the selected workspace (household)
+    const ownerId = req.workspace.owner_id;
+
     // ✅ Access check
-    const hasWriteAccess = await checkAccess(user._id, ownerId, "write");
-    if (!hasWriteAccess) {
+    if (!can(req.workspace, "edit_events")) {
       return res
         .status(403)
         .json({ error: "You do not have permission to create an event (read-only access)" });
     }
 
+    if (advance_payment > 0 && !can(req.workspace, "add_payments")) {
+      return res.status(403).json({ error: "You do not have permission to add payments" });
+    }
+
     // ✅ Find or Create Category
     let category = await Category.findOne({
       name: category_name.trim(),
       is_deleted: false,
     });
 
+    if (!category && !can(req.workspace, "manage_categories")) {
+      return res
+        .status(403)
+        .json({ error: `Category "${category_name.trim()}" does not exist and you cannot create categories` });
+    }
+
     if (!category) {
       category = await Category.create({
         name: category_name.trim(),
@@ -343,6 +411,7 @@ export const createEvent = async (req, res) => {
       category_id: category._id,
       created_by: user._id,
       priority, // ✅ added
+      ...schedule,
     });
 
     // ✅ Create Transaction if advance_payment > 0
@@ -429,27 +498,20 @@ export const createEvent = async (req, res) => {
       return res.status(422).json({ error: "Invalid priority (must be low, medium, or high)" });
     }
 
-    // ✅ Determine event owner (handle family access)
-    let ownerId = user._id;
-    const familyPermission = await FamilyPermission.findOne({ member_id: user._id });
-    if (familyPermission) {
-      ownerId = familyPermission.owner_id;
+    // ✅ Event must belong to the selected workspace (household) or be shared with the user
+    const found = await findAccessibleEvent(req, id);
+    if (!found) {
+      return res.status(404).json({ error: "Event not found or access denied" });
     }
+    const { event, scope } = found;
 
     // ✅ Access check
-    const hasWriteAccess = await checkAccess(user._id, ownerId, "write");
-    if (!hasWriteAccess) {
+    if (!can(scope, "edit_events")) {
       return res
         .status(403)
         .json({ error: "You do not have permission to update this event (read-only access)" });
     }
 
-    // ✅ Find event and ensure ownership
-    const event = await Event.findOne({ _id: id, user_id: ownerId });
-    if (!event) {
-      return res.status(404).json({ error: "Event not found or access denied" });
-    }
-
     // ✅ Update only provided fields
     if (status !== undefined) event.status = status;
     if (priority !== undefined) event.priority = priority;
@@ -490,16 +552,10 @@ export const createEvent = async (req, res) => {
 
     // Final message
     const message = `${user.fullname} ${event.event_name}: ${messageParts.join(", ")}.`;
-    // Find all users who should get the notification
-    const familyMembers = await FamilyPermission.find({
-      owner_id: event.user_id,
-      permission: { $in: ["owner", "write"] },
-    }).select("member_id");
-
-    // Combine owner + permitted members
+    // Find all users who should get the notification (owner + members and collaborators who edit events)
     const userIdsToNotify = [
-      event.user_id.toString(),
-      ...familyMembers.map((f) => f.member_id.toString()),
+      ...(await listMembersWith(event.user_id, "edit_events")),
+      ...(await listEventSharesWith(event._id, "edit_events")),
     ];
 
     // Remove duplicates AND exclude the current user
@@ -560,7 +616,7 @@ export const createEvent = async (req, res) => {
     // -------------------------------
     res.status(200).json({
       message: "Event updated successfully & notifications sent",
-      event,
+      event: maskFinancials(event.toObject(), scope),
       notified_users: uniqueUserIds,
     });
   } catch (error) {
@@ -595,14 +651,21 @@ export const createEvent = async (req, res) => {
 export const getEventById = async (req, res) => {
   try {
     const user = req.user;
-    const event = await Event.findById(req.params.id).populate("user_id");
-    if (!event) return res.status(404).json({ error: "Event not found" });
+    const found = await findAccessibleEvent(req, req.params.id);
+    if (!found) return res.status(404).json({ error: "Event not found" });
+    const { event, scope } = found;
 
-    const canAccess = await checkAccess(user._id, event.user_id._id, "read");
-    if (!canAccess) return res.status(403).json({ error: "Permission denied" });
+    // 👁️ Drafts, amounts and other members' payments follow the member's capabilities
+    if (event.status === 0 && !can(scope, "edit_events"))
+      return res.status(404).json({ error: "Event not found" });
 
+    await event.populate("user_id");
     const transactions = await Transaction.find({ event_id: event._id, deleted_at: null });
-    res.json({ ...event.toObject(), transactions });
+    res.json({
+      ...maskFinancials(event.toObject(), scope),
+      ...(scope.shared && { shared_permission: scope.shared }),
+      transactions: visibleTransactions(transactions, scope, user),
+    });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -641,9 +704,26 @@ export const getEventById = async (req, res) => {
  *                 type: string
  *               notes:
  *                 type: string
+ *               starts_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Optional; without it the summary shows the start of the earliest function
+ *               ends_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Optional; without it the summary shows the end of the latest function
+ *               venue:
+ *                 $ref: '#/components/schemas/Venue'
+ *               functions:
+ *                 type: array
+ *                 description: Must fall within starts_at/ends_at when those are given
+ *                 items:
+ *                   $ref: '#/components/schemas/EventFunction'
  *     responses:
  *       200:
  *         description: Event updated
+ *       422:
+ *         description: Invalid schedule
  *       403:
  *         description: Permission denied
  *       404:
@@ -652,16 +732,33 @@ export const getEventById = async (req, res) => {
 export const updateEvent = async (req, res) => {
   try {
     const user = req.user;
-    const event = await Event.findById(req.params.id);
-    if (!event) return res.status(404).json({ error: "Event not found" });
-
-    const canEdit = await checkAccess(user._id, event.user_id, "write");
-    if (!canEdit) return res.status(403).json({ error: "Permission denied" });
+    const found = await findAccessibleEvent(req, req.params.id);
+    if (!found) return res.status(404).json({ error: "Event not found" });
+    const { event, scope } = found;
+
+    if (!can(scope, "edit_events")) return res.status(403).json({ error: "Permission denied" });
+
+    // ✅ Only known fields; ownership, audit and soft-delete fields are not editable here
+    const allowed = can(scope, "view_financials")
+      ? [...EDITABLE_FIELDS, ...FINANCIAL_FIELDS]
+      : EDITABLE_FIELDS;
+    const blocked = FINANCIAL_FIELDS.filter((f) => req.body[f] !== undefined && !allowed.includes(f));
+    if (blocked.length)
+      return res.status(403).json({ error: `You do not have permission to change ${blocked.join(", ")}` });
+
+    // ✅ Dates, venue and functions are validated together against the current schedule
+    if (SCHEDULE_FIELDS.some((f) => req.body[f] !== undefined)) {
+      const { schedule, error } = validateSchedule(req.body, event);
+      if (error) return res.status(422).json({ error });
+      Object.assign(event, schedule);
+    }
 
-    Object.assign(event, req.body);
+    for (const field of allowed) {
+      if (req.body[field] !== undefined) event[field] = req.body[field];
+    }
     await event.save();
 
-    res.json({ message: "Event updated", event });
+    res.json({ message: "Event updated", event: maskFinancials(event.toObject(), scope) });
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
@@ -693,15 +790,15 @@ export const updateEvent = async (req, res) => {
 export const deleteEvent = async (req, res) => {
   try {
     const user = req.user;
-    const event = await Event.findById(req.params.id);
+    const found = await findAccessibleEvent(req, req.params.id);
 
-    if (!event) {
+    if (!found) {
       return res.status(404).json({ error: "Event not found" });
     }
+    const { event, scope } = found;
 
-    // ✅ Check permission
-    const canDelete = await checkAccess(user._id, event.user_id, "write");
-    if (!canDelete) {
+    // ✅ Check permission (event shares never include delete_events)
+    if (!can(scope, "delete_events")) {
       return res.status(403).json({ error: "Permission denied" });
     }
 
@@ -1020,12 +1117,12 @@ export const addPayment = async (req, res) => {
     const { amount, payment_method, reference, note } = req.body;
 
     // 1️⃣ Fetch event
-    const event = await Event.findById(req.params.id);
-    if (!event) return res.status(404).json({ error: "Event not found" });
+    const found = await findAccessibleEvent(req, req.params.id);
+    if (!found) return res.status(404).json({ error: "Event not found" });
+    const { event, scope } = found;
 
     // 2️⃣ Permission check
-    const canAdd = await checkAccess(user._id, event.user_id, "write");
-    if (!canAdd) return res.status(403).json({ error: "Permission denied" });
+    if (!can(scope, "add_payments")) return res.status(403).json({ error: "Permission denied" });
 
     // 3️⃣ Create transaction
     const transaction = await Transaction.create({
@@ -1040,17 +1137,10 @@ export const addPayment = async (req, res) => {
     // 4️⃣ Create notification message
     const message = `${user.fullname} added a payment of ₹${amount} for ${event.event_name}.`;
 
-    // 5️⃣ Find all users who should get the notification
-    const familyMembers = await FamilyPermission.find({
-      owner_id: event.user_id,
-      permission: { $in: ["owner", "write"] }, // 👈 send to all co-owners/writers
-    }).select("member_id");
-
-    // Combine owner + permitted members (unique)
-    // Combine owner + permitted members
+    // 5️⃣ Find all users who should get the notification (owner + members who see all payments)
     const userIdsToNotify = [
-      event.user_id.toString(),
-      ...familyMembers.map((f) => f.member_id.toString()),
+      ...(await listMembersWith(event.user_id, "view_all_transactions")),
+      ...(await listEventSharesWith(event._id, "view_all_transactions")),
     ];
 
     // Remove duplicates AND exclude the current user
@@ -1215,17 +1305,18 @@ export const updatePayment = async (req, res) => {
     const { id: eventId, paymentId } = req.params;
 
     // ✅ Fetch event
-    const event = await Event.findById(eventId);
-    if (!event) return res.status(404).json({ error: "Event not found" });
+    const found = await findAccessibleEvent(req, eventId);
+    if (!found) return res.status(404).json({ error: "Event not found" });
+    const { scope } = found;
 
     // ✅ Check write permission
-    const canUpdate = await checkAccess(user._id, event.user_id, "write");
-    if (!canUpdate) return res.status(403).json({ error: "Permission denied" });
+    if (!can(scope, "add_payments")) return res.status(403).json({ error: "Permission denied" });
 
-    // ✅ Find existing transaction
+    // ✅ Find existing transaction (others' payments only with view_all_transactions)
     const transaction = await Transaction.findOne({
       _id: paymentId,
       event_id: eventId,
+      ...(!can(scope, "view_all_transactions") && { added_by: user._id }),
     });
     if (!transaction) return res.status(404).json({ error: "Transaction not found" });
 
@@ -1308,17 +1399,18 @@ export const deletePayment = async (req, res) => {
     const { id: eventId, paymentId } = req.params;
 
     // 1️⃣ Fetch event
-    const event = await Event.findById(eventId);
-    if (!event) return res.status(404).json({ error: "Event not found" });
+    const found = await findAccessibleEvent(req, eventId);
+    if (!found) return res.status(404).json({ error: "Event not found" });
+    const { scope } = found;
 
     // 2️⃣ Check write permission
-    const canDelete = await checkAccess(user._id, event.user_id, "write");
-    if (!canDelete) return res.status(403).json({ error: "Permission denied" });
+    if (!can(scope, "add_payments")) return res.status(403).json({ error: "Permission denied" });
 
-    // 3️⃣ Find transaction
+    // 3️⃣ Find transaction (others' payments only with view_all_transactions)
     const transaction = await Transaction.findOne({
       _id: paymentId,
       event_id: eventId,
+      ...(!can(scope, "view_all_transactions") && { added_by: user._id }),
     });
     if (!transaction) return res.status(404).json({ error: "Transaction not found" });
 
@@ -1,10 +1,15 @@
 import bcrypt from "bcrypt";
+import crypto from "crypto";
 import User from "../models/User.js";
-import AccountRecoveryOtp from "../models/AccountRecoveryOtp.js";
-import UserToken from "../models/UserToken.js";
-import { generateToken } from "../utils/jwt.js";
-import nodemailer from "nodemailer";
-import { sendEmail } from "../utils/email.js"; // your email utility
+import { issueOtp, verifyOtp } from "../utils/otp.js";
+import { buildLoginResponse, rotateSession, startTwoFactor } from "../utils/session.js";
+import { generateChallengeToken, verifyChallengeToken } from "../utils/jwt.js";
+import { sendTemplateEmail } from "../utils/email.js";
+import { sendSmsOtp } from "../utils/sms.js";
+import { isEmail, normalizeMobile, mobileLookupValues, parseIdentifier } from "../utils/identifier.js";
+import { recordLogin } from "../utils/loginAudit.js";
+import { validatePassword, isPasswordReused, setPassword, PASSWORD_REUSED } from "../utils/passwordPolicy.js";
+import { attachPendingInvitations } from "../utils/familyInvitations.js";
 /**
  * @swagger
  * tags:
@@ -43,6 +48,19 @@ import { sendEmail } from "../utils/email.js"; // your email utility
  *           type: string
  *           example: "9876543210"
  *
+ *     PasswordPolicyError:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: boolean
+ *           example: false
+ *         code:
+ *           type: string
+ *           enum: [PASSWORD_REQUIRED, PASSWORD_TOO_SHORT, PASSWORD_TOO_LONG, PASSWORD_NO_LOWERCASE, PASSWORD_NO_UPPERCASE, PASSWORD_NO_LETTER, PASSWORD_NO_DIGIT, PASSWORD_NO_SYMBOL, PASSWORD_CONTAINS_PERSONAL_INFO, PASSWORD_TOO_COMMON, PASSWORD_REUSED]
+ *         message:
+ *           type: string
+ *           example: Password must be at least 8 characters
+ *
  *     SignupResponse:
  *       type: object
  *       properties:
@@ -58,15 +76,24 @@ import { sendEmail } from "../utils/email.js"; // your email utility
  *     LoginRequest:
  *       type: object
  *       required:
- *         - email
+ *         - identifier
  *         - password
  *       properties:
+ *         identifier:
+ *           type: string
+ *           description: Email address or mobile number
+ *           example: johndoe@example.com
  *         email:
  *           type: string
+ *           description: Deprecated, use identifier
  *           example: johndoe@example.com
  *         password:
  *           type: string
  *           example: MyStrongPass123
+ *         device_name:
+ *           type: string
+ *           description: Optional label for the session (also accepted as X-Device-Name header)
+ *           example: Mom's phone
  *
  *     LoginResponse:
  *       type: object
@@ -79,22 +106,47 @@ import { sendEmail } from "../utils/email.js"; // your email utility
  *           example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
  *         expires_in:
  *           type: integer
+ *           example: 900
+ *         refresh_token:
+ *           type: string
+ *           example: 3f9c1d7e...
+ *         refresh_expires_in:
+ *           type: integer
  *           example: 2592000
  *         2fa_required:
  *           type: boolean
  *           example: false
+ *         two_factor_method:
+ *           type: string
+ *           enum: [email, sms, totp]
+ *         two_factor_token:
+ *           type: string
+ *           description: Present when 2fa_required is true; send it to /api/verify-2fa
+ *         permission:
+ *           type: string
+ *           enum: [owner, write, accountant, read, custom]
+ *           description: Access in the default workspace
+ *         capabilities:
+ *           $ref: '#/components/schemas/Capabilities'
+ *         workspace_id:
+ *           type: string
+ *           description: Default workspace (household owner id)
  *
  *     Verify2FARequest:
  *       type: object
  *       required:
- *         - email
  *         - otp
  *       properties:
- *         email:
+ *         two_factor_token:
  *           type: string
+ *           description: Token returned by /api/login. Required for authenticator-app and backup codes.
+ *         identifier:
+ *           type: string
+ *           description: Email or mobile; only needed for the emailed OTP when no two_factor_token is sent
  *           example: johndoe@example.com
  *         otp:
  *           type: string
+ *           description: Emailed/SMS OTP, authenticator-app code or backup code
  *           example: "123456"
  *
  *     Verify2FAResponse:
@@ -108,31 +160,30 @@ import { sendEmail } from "../utils/email.js"; // your email utility
  *           example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
  *         expires_in:
  *           type: integer
+ *           example: 900
+ *         refresh_token:
+ *           type: string
+ *           example: 3f9c1d7e...
+ *         refresh_expires_in:
+ *           type: integer
  *           example: 2592000
+ *
+ *     RefreshTokenRequest:
+ *       type: object
+ *       required:
+ *         - refresh_token
+ *       properties:
+ *         refresh_token:
+ *           type: string
+ *           example: 3f9c1d7e...
  */
 
-// Mail setup (like Laravel Mail::raw)
-const transporter = nodemailer.createTransport({
-    host: "smtp.gmail.com",
-    port: 465, // use 465 for SSL or 587 for TLS
-    secure: true, // true for port 465, false for port 587
-    auth: {
-        user: 'miznaansari@gmail.com', // your Gmail
-        pass: 'evuowhmpromvmhhl', // your App Password
-    },
-});
-
-// Helper: send OTP
-const sendOtp = async (method, identifier, otp) => {
+// Helper: send OTP by email or SMS
+const sendOtp = async (method, identifier, otp, template) => {
     if (method === "email") {
-        await transporter.sendMail({
-            from: `"Auth System" <${process.env.MAIL_USER}>`,
-            to: identifier,
-            subject: "Your OTP Code",
-            text: `Your OTP is: ${otp}`,
-        });
+        await sendTemplateEmail(identifier, template, { otp });
     } else {
-        console.log(`📱 SMS to ${identifier}: ${otp}`); // integrate MSG91 here
+        await sendSmsOtp(identifier, otp);
     }
 };
 
@@ -156,11 +207,21 @@ const sendOtp = async (method, identifier, otp) => {
  *             schema:
  *               $ref: '#/components/schemas/SignupResponse'
  *       422:
- *         description: Validation error
+ *         description: Validation error or password rejected by the policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PasswordPolicyError'
  */
 export const signup = async (req, res) => {
     try {
-        const { fullname, email, password, profile_url, dob, mobile } = req.body;
+        const { fullname, email, password, profile_url, dob } = req.body;
+        const mobile = req.body.mobile ? normalizeMobile(req.body.mobile) : undefined;
+        if (mobile === null)
+            return res.status(422).json({ status: false, message: "Invalid mobile number" });
+
+        const weak = validatePassword(password, { email, mobile, fullname });
+        if (weak) return res.status(422).json({ status: false, ...weak });
 
         const hashed = await bcrypt.hash(password, 10);
         const user = await User.create({ fullname, email, password: hashed, profile_url, dob, mobile });
@@ -195,21 +256,30 @@ export const signup = async (req, res) => {
  *       403:
  *         description: Account locked
  */
-
-import FamilyPermission from "../models/FamilyPermission.js";
-
-
 export const login = async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { identifier, email, password } = req.body;
 
-    // ✅ Find user
-    const user = await User.findOne({ email });
-    if (!user)
+    // ✅ Find user by email or mobile number
+    const lookup = parseIdentifier(identifier ?? email);
+    if (!lookup)
       return res.status(401).json({ status: false, message: "Invalid credentials" });
 
+    const user = await User.findOne(lookup.query);
+    if (!user) {
+      await recordLogin(req, { user: null, identifier: lookup.value, status: "unknown_user" });
+      return res.status(401).json({ status: false, message: "Invalid credentials" });
+    }
+
+    // ✅ Deleted accounts can no longer sign in
+    if (user.isDeleted()) {
+      await recordLogin(req, { user, identifier: lookup.value, status: "deleted" });
+      return res.status(403).json({ status: false, message: "This account has been deleted" });
+    }
+
     // ✅ Check account lock
     if (user.isLocked()) {
+      await recordLogin(req, { user, identifier: lookup.value, status: "locked" });
       return res.status(403).json({
         status: false,
         message: `Account is locked. Try again after ${user.locked_until}`,
@@ -220,6 +290,7 @@ export const login = async (req, res) => {
     const valid = await user.checkPassword(password);
     if (!valid) {
       await user.registerFailedLogin();
+      await recordLogin(req, { user, identifier: lookup.value, status: "bad_password" });
       return res.status(401).json({ status: false, message: "Invalid credentials" });
     }
 
@@ -227,47 +298,13 @@ export const login = async (req, res) => {
 
     // ✅ Handle 2FA
     if (user.two_factor_enabled) {
-      const otp = Math.floor(100000 + Math.random() * 900000).toString();
-      await AccountRecoveryOtp.create({
-        identifier: user.email,
-        otp,
-        method: "email",
-        purpose: "2fa",
-        expires_at: new Date(Date.now() + 10 * 60 * 1000), // 10 mins
-      });
-      await sendOtp("email", user.email, otp);
-
-      return res.json({
-        status: true,
-        message: "Two-factor OTP sent",
-        "2fa_required": true,
-        user_id: user._id,
-      });
+      await recordLogin(req, { user, identifier: lookup.value, status: "2fa_pending" });
+      return res.json(await startTwoFactor(user));
     }
 
-    // ✅ Generate JWT token
-    const token = generateToken(user);
-    await UserToken.create({ user_id: user._id, token });
-
-    // ✅ Determine effective permission
-    let permission = "read"; // default
-
-    const ownerExists = await FamilyPermission.exists({ owner_id: user._id });
-    if (ownerExists) {
-      permission = "owner";
-    } else {
-      const memberPerm = await FamilyPermission.findOne({ member_id: user._id }).select("permission");
-      if (memberPerm) permission = memberPerm.permission; // "write" or "read"
-    }
-
-    // ✅ Return response
-    return res.json({
-      status: true,
-      token,
-      user_id: user._id,
-      expires_in: 2592000, // 30 days
-      permission,          // "owner" | "write" | "read"
-    });
+    // ✅ Start session and return tokens + effective permission
+    await recordLogin(req, { user, identifier: lookup.value, status: "success" });
+    return res.json(await buildLoginResponse(user, req));
   } catch (err) {
     console.error("Login error:", err);
     return res.status(500).json({ status: false, message: "Server error" });
@@ -298,22 +335,254 @@ export const login = async (req, res) => {
  *         description: Invalid or expired OTP
  */
 export const verify2FA = async (req, res) => {
-    const { email, otp } = req.body;
-    const record = await AccountRecoveryOtp.findOne({
-        identifier: email, otp, purpose: "2fa", is_verified: false,
-    }).sort({ createdAt: -1 });
+  try {
+    const { identifier, email, otp, two_factor_token } = req.body;
+    if (!otp)
+      return res.status(422).json({ status: false, message: "OTP required" });
 
-    if (!record || record.isExpired())
-        return res.status(400).json({ status: false, message: "Invalid or expired OTP" });
+    // ✅ Resolve the user: challenge token from login, or identifier (emailed OTP only)
+    const challenge = two_factor_token ? verifyChallengeToken(two_factor_token, "2fa") : null;
+    if (two_factor_token && !challenge)
+      return res.status(400).json({ status: false, message: "Two-factor session expired, please login again" });
 
-    record.is_verified = true;
-    await record.save();
+    const lookup = challenge ? null : parseIdentifier(identifier ?? email);
+    if (!challenge && !lookup)
+      return res.status(400).json({ status: false, message: "Invalid or expired OTP" });
+
+    const user = await (challenge ? User.findById(challenge.id) : User.findOne(lookup.query))
+      .select("+totp_secret");
+    if (!user || user.isDeleted())
+      return res.status(400).json({ status: false, message: "Invalid or expired OTP" });
+
+    if (user.isLocked()) {
+      await recordLogin(req, { user, status: "locked", method: "2fa" });
+      return res.status(403).json({
+        status: false,
+        message: `Account is locked. Try again after ${user.locked_until}`,
+      });
+    }
+
+    // ✅ Authenticator app code or backup code (only with a challenge token, which proves the password)
+    let verified = false;
+    if (challenge) {
+      verified =
+        (user.two_factor_method === "totp" && (await user.useTotpCode(otp))) ||
+        (await user.useBackupCode(otp));
+    }
+
+    // ✅ Fallback: OTP sent by email or SMS (SMS only with a challenge token)
+    let otpError = { error: "Invalid or expired OTP", status: 400 };
+    const identifiers = [user.email, challenge && user.mobile].filter(Boolean);
+    if (!verified && identifiers.length) {
+      const result = await verifyOtp({ identifier: identifiers, otp, purpose: "2fa" });
+      verified = !result.error;
+      if (result.error) otpError = result;
+    }
+
+    if (!verified) {
+      // Wrong authenticator/backup codes count towards the account lock
+      if (challenge) await user.registerFailedLogin();
+      await recordLogin(req, { user, status: "2fa_failed", method: "2fa" });
+      return res.status(otpError.status).json({ status: false, message: otpError.error });
+    }
+
+    await recordLogin(req, { user, status: "success", method: "2fa" });
+    res.json(await buildLoginResponse(user, req));
+  } catch (err) {
+    console.error("Verify 2FA error:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
+};
+
+const MAGIC_LINK_TTL_SECONDS = 15 * 60;
+
+/**
+ * @swagger
+ * /api/login/magic-link:
+ *   post:
+ *     summary: Email a single-use sign-in link (passwordless login)
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: johndoe@example.com
+ *     responses:
+ *       200:
+ *         description: Link sent
+ *       404:
+ *         description: User not found
+ *       422:
+ *         description: Validation error
+ *       429:
+ *         description: Resend cooldown active (see retry_after)
+ */
+export const requestMagicLink = async (req, res) => {
+  try {
+    const email = typeof req.body.email === "string" ? req.body.email.trim() : "";
+    if (!isEmail(email))
+      return res.status(422).json({ status: false, message: "Valid email required" });
 
     const user = await User.findOne({ email });
-    const token = generateToken(user);
-    await UserToken.create({ user_id: user._id, token });
+    if (!user || user.isDeleted())
+      return res.status(404).json({ status: false, message: "User not found" });
+
+    // The nonce is stored hashed like any OTP; the JWT around it makes the link tamper-proof
+    const nonce = crypto.randomBytes(32).toString("hex");
+    const { error, retry_after } = await issueOtp({
+      identifier: email,
+      method: "email",
+      purpose: "magic_link",
+      code: nonce,
+      ttlMs: MAGIC_LINK_TTL_SECONDS * 1000,
+    });
+    if (error) return res.status(429).json({ status: false, message: error, retry_after });
+
+    const token = generateChallengeToken(user, "magic_link", MAGIC_LINK_TTL_SECONDS, { nonce });
+    const baseUrl = process.env.APP_URL || `${req.protocol}://${req.get("host")}`;
+    const link = `${baseUrl}/api/login/magic-link/verify?token=${encodeURIComponent(token)}`;
 
-    res.json({ status: true, token, expires_in: 2592000 });
+    await sendTemplateEmail(email, "magic_link", { link, ttlMs: MAGIC_LINK_TTL_SECONDS * 1000 });
+
+    res.json({ status: true, message: "Sign-in link sent to your email" });
+  } catch (err) {
+    console.error("Magic link request error:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/login/magic-link/verify:
+ *   get:
+ *     summary: Exchange a sign-in link token for the login token payload
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Login successful (or 2FA required for authenticator/SMS users)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoginResponse'
+ *       400:
+ *         description: Invalid, expired or already used link
+ */
+export const verifyMagicLink = async (req, res) => {
+  try {
+    const challenge = verifyChallengeToken(req.query.token, "magic_link");
+    if (!challenge)
+      return res.status(400).json({ status: false, message: "Invalid or expired link" });
+
+    const user = await User.findById(challenge.id);
+    if (!user || user.isDeleted() || !user.email)
+      return res.status(400).json({ status: false, message: "Invalid or expired link" });
+
+    if (user.isLocked()) {
+      await recordLogin(req, { user, status: "locked", method: "magic_link" });
+      return res.status(403).json({
+        status: false,
+        message: `Account is locked. Try again after ${user.locked_until}`,
+      });
+    }
+
+    const { error, status } = await verifyOtp({
+      identifier: user.email,
+      otp: challenge.nonce,
+      purpose: "magic_link",
+    });
+    if (error)
+      return res.status(status).json({ status: false, message: "Invalid or expired link" });
+
+    // Opening the link proves access to the email, so emailed-OTP 2FA is already satisfied
+    if (user.two_factor_enabled && user.two_factor_method !== "email") {
+      await recordLogin(req, { user, status: "2fa_pending", method: "magic_link" });
+      return res.json(await startTwoFactor(user));
+    }
+
+    await recordLogin(req, { user, status: "success", method: "magic_link" });
+    res.json(await buildLoginResponse(user, req));
+  } catch (err) {
+    console.error("Magic link verify error:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/token/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access + refresh token pair
+ *     description: Refresh tokens are single-use. Presenting one that was already rotated revokes the whole session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshTokenRequest'
+ *     responses:
+ *       200:
+ *         description: New token pair issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Verify2FAResponse'
+ *       401:
+ *         description: Invalid, expired, revoked or reused refresh token
+ *       422:
+ *         description: Validation error
+ */
+export const refreshToken = async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+    if (!refresh_token || typeof refresh_token !== "string")
+      return res.status(422).json({ status: false, message: "refresh_token required" });
+
+    const { error, payload } = await rotateSession(refresh_token, (id) => User.findById(id), req);
+    if (error) return res.status(401).json({ status: false, message: error });
+
+    res.json({ status: true, ...payload });
+  } catch (err) {
+    console.error("Refresh token error:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/logout:
+ *   post:
+ *     summary: Revoke the current session
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       401:
+ *         description: Unauthorized
+ */
+export const logout = async (req, res) => {
+  try {
+    await req.session.revoke("logout");
+    res.json({ status: true, message: "Logged out successfully" });
+  } catch (err) {
+    console.error("Logout error:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
 };
 
 /**
@@ -345,24 +614,39 @@ export const verify2FA = async (req, res) => {
  *     responses:
  *       200:
  *         description: OTP sent successfully
+ *       422:
+ *         description: Validation error or password rejected by the policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PasswordPolicyError'
+ *       429:
+ *         description: Resend cooldown active (see retry_after)
  */
 export const signupRequest = async (req, res) => {
   try {
-    const { fullname, email, mobile, password, dob, profile_url } = req.body;
+    const { fullname, email, password, dob, profile_url } = req.body;
 
     if (!fullname || !password)
       return res.status(422).json({ status: false, message: "Name & password required" });
 
-    if (!email )
+    if (!email && !req.body.mobile)
       return res.status(422).json({ status: false, message: "Either email or mobile required" });
 
-    // 🔍 Check if email or mobile already exists
-    const existingUser = await User.findOne({
-      $or: [
-        ...(email ? [{ email }] : []),
-        ...(mobile ? [{ mobile }] : []),
-      ],
-    });
+    if (email && !isEmail(email))
+      return res.status(422).json({ status: false, message: "Invalid email address" });
+
+    const mobile = req.body.mobile ? normalizeMobile(req.body.mobile) : undefined;
+    if (mobile === null)
+      return res.status(422).json({ status: false, message: "Invalid mobile number" });
+
+    const weak = validatePassword(password, { email, mobile, fullname });
+    if (weak) return res.status(422).json({ status: false, ...weak });
+
+    // 🔍 Check if the email, or the verified mobile signed up with, already exists
+    const existingUser = await User.findOne(
+      email ? { email } : { mobile: { $in: mobileLookupValues(mobile) }, mobile_verified: true }
+    );
 
     if (existingUser) {
       return res.status(409).json({
@@ -371,33 +655,19 @@ export const signupRequest = async (req, res) => {
       });
     }
 
-    const otp = Math.floor(100000 + Math.random() * 900000);
-
     // hash password before storing in extra_data
     const hashedPassword = await bcrypt.hash(password, 10);
 
-    await AccountRecoveryOtp.create({
+    const { otp, error, retry_after } = await issueOtp({
       identifier: email ?? mobile,
-      otp,
       method: email ? "email" : "mobile",
       purpose: "signup",
-      expires_at: new Date(Date.now() + 10 * 60 * 1000), // 10 minutes
-      extra_data: { fullname, password: hashedPassword, dob, profile_url },
+      // mobile is kept (as pending_mobile) when signing up with email + mobile
+      extra_data: { fullname, password: hashedPassword, dob, profile_url, mobile: email ? mobile : undefined },
     });
+    if (error) return res.status(429).json({ status: false, message: error, retry_after });
 
-    if (email) {
-      await transporter.verify();
-      console.log("✅ Gmail SMTP ready to send mail");
-
-      await transporter.sendMail({
-        from: `"Auth System" <${process.env.MAIL_USER}>`,
-        to: email,
-        subject: "Signup OTP",
-        text: `Your signup OTP is: ${otp}`,
-      });
-    } else {
-      console.log(`📱 Send SMS OTP ${otp} to ${mobile}`);
-    }
+    await sendOtp(email ? "email" : "mobile", email ?? mobile, otp, "signup_otp");
 
     res.json({ status: true, message: "OTP sent successfully." });
   } catch (err) {
@@ -431,42 +701,47 @@ export const signupRequest = async (req, res) => {
  */
 export const signupVerifyOtp = async (req, res) => {
     try {
-        const { identifier, otp } = req.body;
-        if (!identifier || !otp)
+        const { otp } = req.body;
+        const lookup = parseIdentifier(req.body.identifier);
+        if (!lookup || !otp)
             return res.status(422).json({ status: false, message: "Identifier & OTP required" });
 
-        const otpRecord = await AccountRecoveryOtp.findOne({
-            identifier,
-            otp,
-            purpose: "signup",
-            is_verified: false,
-        }).sort({ createdAt: -1 });
-
-        if (!otpRecord || new Date(otpRecord.expires_at) < new Date()) {
-            return res.status(400).json({ status: false, message: "Invalid or expired OTP" });
-        }
+        const identifier = lookup.value;
+        const { record: otpRecord, error, status } = await verifyOtp({ identifier, otp, purpose: "signup" });
+        if (error)
+            return res.status(status).json({ status: false, message: error });
 
         const data = otpRecord.extra_data;
         if (!data)
             return res.status(400).json({ status: false, message: "Invalid signup session data" });
 
-        const isEmail = /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(identifier);
+        const viaEmail = lookup.type === "email";
+
+        // Only a number proven by this OTP goes into the unique mobile field; it is
+        // taken back from accounts that merely typed it in
+        if (!viaEmail) {
+            if (await User.exists({ mobile: { $in: mobileLookupValues(identifier) }, mobile_verified: true }))
+                return res.status(409).json({ status: false, message: "User already registered with this email or mobile." });
+            await User.releaseUnverifiedMobile(identifier);
+        }
 
         const user = await User.create({
             fullname: data.fullname,
-            email: isEmail ? identifier : null,
-            // mobile: !isEmail ? identifier : null,
+            // undefined (not null) keeps the sparse unique indexes happy
+            email: viaEmail ? identifier : undefined,
+            mobile: viaEmail ? undefined : identifier,
+            pending_mobile: viaEmail ? data.mobile ?? null : null,
             password: data.password,
             dob: data.dob ?? null,
             profile_url: data.profile_url ?? null,
-            mobile_verified: !isEmail,
-            email_verified_at: isEmail ? new Date() : null,
+            mobile_verified: !viaEmail,
+            email_verified_at: viaEmail ? new Date() : null,
         });
 
-        otpRecord.is_verified = true;
-        await otpRecord.save();
+        // 👪 Households that invited this email/mobile before the account existed
+        const joined = await attachPendingInvitations(user, { email: viaEmail, mobile: !viaEmail });
 
-        res.status(201).json({ status: true, message: "User registered successfully", data: user });
+        res.status(201).json({ status: true, message: "User registered successfully", data: user, households_joined: joined });
     } catch (err) {
         console.error(err);
         res.status(500).json({ status: false, message: "Server error" });
@@ -495,37 +770,30 @@ export const signupVerifyOtp = async (req, res) => {
  *     responses:
  *       200:
  *         description: OTP sent successfully
+ *       429:
+ *         description: Resend cooldown active (see retry_after)
  */
 export const forgetPasswordRequestOtp = async (req, res) => {
   try {
-    const { identifier, method } = req.body;
+    const { method } = req.body;
+    const identifier = method === "mobile" ? normalizeMobile(req.body.identifier) : req.body.identifier;
     if (!identifier || !["email", "mobile"].includes(method)) {
       return res.status(400).json({ status: false, message: "Invalid input" });
     }
 
     const user = await User.findOne(
-      method === "email" ? { email: identifier } : { mobile: identifier }
+      method === "email" ? { email: identifier } : { mobile: { $in: mobileLookupValues(identifier) } }
     );
 
-    if (!user) {
+    // An unverified number may belong to someone else: it can't be used to reset the password
+    if (!user || user.isDeleted() || (method === "mobile" && !user.mobile_verified)) {
       return res.status(404).json({ status: false, message: "User not found" });
     }
 
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-
-    await AccountRecoveryOtp.create({
-      identifier,
-      otp,
-      method,
-      purpose: "forget_password",
-      expires_at: new Date(Date.now() + 10 * 60 * 1000),
-    });
+    const { otp, error, retry_after } = await issueOtp({ identifier, method, purpose: "forget_password" });
+    if (error) return res.status(429).json({ status: false, message: error, retry_after });
 
-    if (method === "email") {
-      await sendEmail(identifier, "Forget Password OTP", `Your OTP is ${otp}`);
-    } else {
-      await sendMsg91Otp(identifier, otp);
-    }
+    await sendOtp(method, identifier, otp, "password_reset_otp");
 
     return res.json({ status: true, message: "OTP sent successfully" });
   } catch (err) {
@@ -556,14 +824,29 @@ export const forgetPasswordRequestOtp = async (req, res) => {
  *                 enum: [email, mobile]
  *               password:
  *                 type: string
- *               confirm_password:
+ *               password_confirmation:
  *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Missing fields or invalid OTP
+ *       404:
+ *         description: User not found
+ *       422:
+ *         description: |
+ *           Password rejected by the policy (the code is still valid), or containing personal
+ *           info / used recently (the code is used up, request a new one)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PasswordPolicyError'
  */
 export const forgetPasswordReset = async (req, res) => {
   try {
-    const { identifier, otp, method, password, password_confirmation } = req.body;
-console.log( req.body)
-    if (!identifier || !otp || !password || !password_confirmation) {
+    const { otp, method, password, password_confirmation } = req.body;
+    const identifier = method === "mobile" ? normalizeMobile(req.body.identifier) : req.body.identifier;
+    if (!identifier || !otp || !password || !password_confirmation || !["email", "mobile"].includes(method)) {
       return res.status(400).json({ status: false, message: "All fields required11" });
     }
 
@@ -571,32 +854,34 @@ console.log( req.body)
       return res.status(400).json({ status: false, message: "Passwords do not match" });
     }
 
-    const otpRecord = await AccountRecoveryOtp.findOne({
-      identifier,
-      otp,
-      method,
-      purpose: "forget_password",
-      is_verified: false,
-    }).sort({ createdAt: -1 });
-
-    if (!otpRecord || otpRecord.isExpired()) {
-      return res.status(400).json({ status: false, message: "Invalid or expired OTP" });
-    }
+    // ✅ Length, character classes and the common list say nothing about the account,
+    // so they are checked before the code is used up
+    const weakForAnyone = validatePassword(password);
+    if (weakForAnyone) return res.status(422).json({ status: false, ...weakForAnyone });
 
     const user = await User.findOne(
-      method === "email" ? { email: identifier } : { mobile: identifier }
-    );
+      method === "email" ? { email: identifier } : { mobile: { $in: mobileLookupValues(identifier) } }
+    ).select("+password_history");
 
-    if (!user) {
+    if (!user || user.isDeleted() || (method === "mobile" && !user.mobile_verified)) {
       return res.status(404).json({ status: false, message: "User not found" });
     }
 
-    const hashed = await bcrypt.hash(password, 10);
-    user.password = hashed;
-    await user.save();
+    const { error, status } = await verifyOtp({ identifier, otp, method, purpose: "forget_password" });
+    if (error) {
+      return res.status(status).json({ status: false, message: error });
+    }
 
-    otpRecord.is_verified = true;
-    await otpRecord.save();
+    // ✅ Personal-info and history checks only after the OTP is accepted; answering them
+    // earlier would let anyone probe the account's current and past passwords without a code
+    const weak = validatePassword(password, user);
+    if (weak) return res.status(422).json({ status: false, ...weak });
+
+    if (await isPasswordReused(user, password))
+      return res.status(422).json({ status: false, ...PASSWORD_REUSED });
+
+    await setPassword(user, password);
+    await user.save();
 
     return res.json({ status: true, message: "Password reset successfully" });
   } catch (err) {
@@ -0,0 +1,89 @@
+import { listOutbox, readOutboxMessage, getMailDriverName, outboxDir } from "../utils/email.js";
+import { escapeHtml } from "../utils/emailTemplates.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Dev
+ *   description: >
+ *     Development helpers. Mounted only with ENABLE_DEV_OUTBOX=true while the
+ *     file mail driver is active, and never when NODE_ENV=production.
+ */
+
+/**
+ * @swagger
+ * /api/dev/outbox:
+ *   get:
+ *     summary: List emails captured by the file mail driver
+ *     tags: [Dev]
+ *     parameters:
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Only messages sent to this address
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Latest messages, newest first
+ */
+export const getOutbox = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    let messages = await listOutbox(limit);
+    if (req.query.to) messages = messages.filter((m) => m.to === req.query.to);
+
+    res.json({
+      status: true,
+      driver: getMailDriverName(),
+      directory: outboxDir(),
+      data: messages.map(({ id, to, subject, text, sent_at }) => ({ id, to, subject, text, sent_at })),
+    });
+  } catch (err) {
+    console.error("Error in getOutbox:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/dev/outbox/{id}:
+ *   get:
+ *     summary: Show one captured email (rendered HTML with ?format=html)
+ *     tags: [Dev]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, html]
+ *     responses:
+ *       200:
+ *         description: The message
+ *       404:
+ *         description: Message not found
+ */
+export const getOutboxMessage = async (req, res) => {
+  try {
+    const message = await readOutboxMessage(req.params.id);
+    if (!message) return res.status(404).json({ status: false, message: "Message not found" });
+
+    if (req.query.format === "html") {
+      return res.type("html").send(message.html ?? `<pre>${escapeHtml(message.text ?? "")}</pre>`);
+    }
+
+    res.json({ status: true, data: message });
+  } catch (err) {
+    console.error("Error in getOutboxMessage:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
+};
@@ -0,0 +1,403 @@
+import mongoose from "mongoose";
+import bcrypt from "bcrypt";
+import Event from "../models/Event.js";
+import Transaction from "../models/Transaction.js";
+import EventShareLink, {
+  EVENT_LINK_TTL_DAYS,
+  EVENT_LINK_MAX_TTL_DAYS,
+  EVENT_LINK_MAX_PIN_ATTEMPTS,
+} from "../models/EventShareLink.js";
+import { can } from "../utils/capabilities.js";
+import { findAccessibleEvent } from "../utils/eventAccess.js";
+import { verifyChallengeToken } from "../utils/jwt.js";
+import {
+  signEventLinkToken,
+  buildEventSummary,
+  renderEventSummaryHtml,
+  renderPinFormHtml,
+  renderMessageHtml,
+} from "../utils/eventSummary.js";
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EventShareLink:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         url:
+ *           type: string
+ *           description: Public link (add ?format=html for a web page)
+ *         label:
+ *           type: string
+ *           nullable: true
+ *         has_pin:
+ *           type: boolean
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *         views:
+ *           type: integer
+ *         last_viewed_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     EventSummary:
+ *       type: object
+ *       properties:
+ *         event_name:
+ *           type: string
+ *         category:
+ *           type: string
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [draft, active, completed]
+ *         starts_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         ends_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         venue:
+ *           $ref: '#/components/schemas/Venue'
+ *         functions:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *               starts_at:
+ *                 type: string
+ *                 format: date-time
+ *               ends_at:
+ *                 type: string
+ *                 format: date-time
+ *               venue:
+ *                 $ref: '#/components/schemas/Venue'
+ *         booking_total_value:
+ *           type: number
+ *           nullable: true
+ *         amount_paid:
+ *           type: number
+ *         amount_due:
+ *           type: number
+ *           nullable: true
+ *         payments:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               payment_method:
+ *                 type: string
+ *               paid_at:
+ *                 type: string
+ *                 format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+
+const PIN_REGEX = /^\d{4,8}$/;
+
+const publicUrl = (req, link) => {
+  const baseUrl = process.env.APP_URL || `${req.protocol}://${req.get("host")}`;
+  return `${baseUrl}/api/public/events/${encodeURIComponent(signEventLinkToken(link))}`;
+};
+
+const presentLink = (req, link) => ({
+  _id: link._id,
+  url: publicUrl(req, link),
+  label: link.label,
+  has_pin: !!link.pin_hash,
+  expires_at: link.expires_at,
+  views: link.views,
+  last_viewed_at: link.last_viewed_at,
+  createdAt: link.createdAt,
+});
+
+/**
+ * @swagger
+ * /api/events/{id}/links:
+ *   post:
+ *     summary: Create a public read-only link to the event summary (view_financials)
+ *     description: >
+ *       Anyone with the link (and the PIN, if set) sees the event name, status,
+ *       dates, venues and amounts paid and due. Notes, contact details and
+ *       member names are never shown.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *                 example: Client
+ *               pin:
+ *                 type: string
+ *                 description: 4-8 digits the viewer must enter
+ *                 example: "4821"
+ *               ttl_days:
+ *                 type: number
+ *                 maximum: 90
+ *                 description: Defaults to EVENT_SHARE_LINK_TTL_DAYS (7)
+ *     responses:
+ *       201:
+ *         description: Link created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 link:
+ *                   $ref: '#/components/schemas/EventShareLink'
+ *       400:
+ *         description: Invalid input
+ *       403:
+ *         description: Missing view_financials
+ *       404:
+ *         description: Event not found
+ */
+export const createEventLink = async (req, res) => {
+  try {
+    const { label, pin, ttl_days = EVENT_LINK_TTL_DAYS } = req.body ?? {};
+
+    const found = await findAccessibleEvent(req, req.params.id);
+    if (!found) return res.status(404).json({ error: "Event not found" });
+    const { event, scope } = found;
+
+    // The summary shows amounts, so only those who can see them may publish it
+    if (!can(scope, "view_financials")) return res.status(403).json({ error: "Permission denied" });
+
+    if (pin !== undefined && pin !== null && !PIN_REGEX.test(String(pin)))
+      return res.status(400).json({ error: "pin must be 4 to 8 digits" });
+
+    if (typeof ttl_days !== "number" || ttl_days <= 0 || ttl_days > EVENT_LINK_MAX_TTL_DAYS)
+      return res.status(400).json({ error: `ttl_days must be between 0 and ${EVENT_LINK_MAX_TTL_DAYS}` });
+
+    const link = await EventShareLink.create({
+      event_id: event._id,
+      owner_id: event.user_id,
+      created_by: req.user._id,
+      label: label || null,
+      pin_hash: pin ? await bcrypt.hash(String(pin), 10) : null,
+      expires_at: new Date(Date.now() + ttl_days * 24 * 60 * 60 * 1000),
+    });
+
+    res.status(201).json({ message: "Share link created", link: presentLink(req, link) });
+  } catch (err) {
+    console.error("Error in createEventLink:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/events/{id}/links:
+ *   get:
+ *     summary: Active public links of an event, with view counts (view_financials)
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Links that haven't expired or been revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/EventShareLink'
+ *       403:
+ *         description: Missing view_financials
+ *       404:
+ *         description: Event not found
+ */
+export const getEventLinks = async (req, res) => {
+  try {
+    const found = await findAccessibleEvent(req, req.params.id);
+    if (!found) return res.status(404).json({ error: "Event not found" });
+    if (!can(found.scope, "view_financials")) return res.status(403).json({ error: "Permission denied" });
+
+    const links = await EventShareLink.find({
+      event_id: found.event._id,
+      revoked_at: null,
+      expires_at: { $gt: new Date() },
+    })
+      .select("+pin_hash")
+      .sort({ createdAt: -1 });
+
+    res.json(links.map((link) => presentLink(req, link)));
+  } catch (err) {
+    console.error("Error in getEventLinks:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/events/{id}/links/{linkId}:
+ *   delete:
+ *     summary: Revoke a public link (its creator, or manage_members)
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: linkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Link revoked
+ *       404:
+ *         description: Active link not found
+ */
+export const revokeEventLink = async (req, res) => {
+  try {
+    const { id, linkId } = req.params;
+    const found = await findAccessibleEvent(req, id);
+    const link = found && mongoose.isValidObjectId(linkId) &&
+      await EventShareLink.findOne({ _id: linkId, event_id: found.event._id, revoked_at: null });
+
+    if (!link || !(link.created_by.equals(req.user._id) || can(found.scope, "manage_members")))
+      return res.status(404).json({ error: "Active link not found" });
+
+    link.revoked_at = new Date();
+    link.revoked_reason = "revoked";
+    await link.save();
+
+    res.json({ message: "Share link revoked" });
+  } catch (err) {
+    console.error("Error in revokeEventLink:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/public/events/{token}:
+ *   get:
+ *     summary: Public event summary behind a share link (no login)
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, html]
+ *       - in: query
+ *         name: pin
+ *         schema:
+ *           type: string
+ *         description: PIN of a protected link (or send the X-Share-Pin header)
+ *     responses:
+ *       200:
+ *         description: Event summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EventSummary'
+ *       401:
+ *         description: PIN required or incorrect (pin_required is true)
+ *       404:
+ *         description: Link invalid, expired or revoked
+ */
+export const viewEventLink = async (req, res) => {
+  const html = req.query.format === "html";
+  const fail = (status, error, extra = {}) =>
+    html
+      ? res.status(status).type("html").send(extra.pin_required ? renderPinFormHtml(req.query.pin && error) : renderMessageHtml(error))
+      : res.status(status).json({ error, ...extra });
+
+  try {
+    res.set("Cache-Control", "no-store");
+    const gone = "This link is invalid, has expired or was revoked";
+
+    const claims = verifyChallengeToken(req.params.token, "event_link");
+    const link = claims && mongoose.isValidObjectId(claims.lid) &&
+      await EventShareLink.findById(claims.lid).select("+pin_hash");
+    if (!link?.isActive()) return fail(404, gone);
+
+    // 🔒 Optional PIN; too many wrong guesses revoke the link
+    if (link.pin_hash) {
+      const pin = req.get("x-share-pin") ?? req.query.pin;
+      if (!pin) return fail(401, "PIN required", { pin_required: true });
+
+      // Claim an attempt before comparing, so parallel guesses can't go past the limit
+      const claimed = await EventShareLink.findOneAndUpdate(
+        { _id: link._id, revoked_at: null, pin_attempts: { $lt: EVENT_LINK_MAX_PIN_ATTEMPTS } },
+        { $inc: { pin_attempts: 1 } },
+        { new: true }
+      );
+      if (!claimed) return fail(404, gone);
+
+      if (!(await bcrypt.compare(String(pin), link.pin_hash))) {
+        if (claimed.pin_attempts >= EVENT_LINK_MAX_PIN_ATTEMPTS) {
+          await EventShareLink.updateOne(
+            { _id: link._id, revoked_at: null },
+            { revoked_at: new Date(), revoked_reason: "too_many_pin_attempts" }
+          );
+          return fail(404, gone);
+        }
+        return fail(401, "Incorrect PIN", { pin_required: true });
+      }
+    }
+
+    const event = await Event.findById(link.event_id).populate("category_id", "name");
+    if (!event) return fail(404, gone);
+
+    const transactions = await Transaction.find({ event_id: event._id, deleted_at: null }).sort({ createdAt: 1 });
+    const summary = buildEventSummary(event, transactions);
+
+    // 👁️ View counting
+    await EventShareLink.updateOne(
+      { _id: link._id },
+      { $inc: { views: 1 }, last_viewed_at: new Date(), pin_attempts: 0 }
+    );
+
+    if (html) return res.type("html").send(renderEventSummaryHtml(summary));
+    res.json(summary);
+  } catch (err) {
+    console.error("Error in viewEventLink:", err);
+    fail(500, "Server error");
+  }
+};
@@ -0,0 +1,247 @@
+import mongoose from "mongoose";
+import Event from "../models/Event.js";
+import EventShare from "../models/EventShare.js";
+import User from "../models/User.js";
+import { can, exceedingCapabilities, EVENT_SHARE_LEVELS } from "../utils/capabilities.js";
+import { parseIdentifier } from "../utils/identifier.js";
+import { notifyUsers } from "../utils/notify.js";
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EventShare:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         event_id:
+ *           type: string
+ *         user_id:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             fullname:
+ *               type: string
+ *             email:
+ *               type: string
+ *         permission:
+ *           type: string
+ *           enum: [read, write]
+ *           description: read = view the event; write = also edit it and add payments
+ *         shared_by:
+ *           type: string
+ */
+
+// Event of the selected workspace whose sharing the user may manage
+const findManagedEvent = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return Event.findOne({ _id: req.params.id, user_id: req.workspace.owner_id });
+};
+
+/**
+ * @swagger
+ * /api/events/{id}/shares:
+ *   post:
+ *     summary: Share one event with someone outside the household (manage_members)
+ *     description: >
+ *       The person gets access to this event only, not to the rest of the household.
+ *       Sharing again with the same person changes their level.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permission
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: decorator@example.com
+ *               mobile:
+ *                 type: string
+ *                 description: Use instead of email
+ *               permission:
+ *                 type: string
+ *                 enum: [read, write]
+ *     responses:
+ *       201:
+ *         description: Event shared
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 share:
+ *                   $ref: '#/components/schemas/EventShare'
+ *       400:
+ *         description: Invalid input
+ *       403:
+ *         description: Missing manage_members, or the level grants more than you have
+ *       404:
+ *         description: Event or user not found
+ *       422:
+ *         description: Sharing with yourself or the household owner
+ */
+export const shareEvent = async (req, res) => {
+  try {
+    const user = req.user;
+    const { email, mobile, permission } = req.body;
+
+    if (!can(req.workspace, "manage_members"))
+      return res.status(403).json({ error: "Forbidden: manage_members permission required" });
+
+    if (!EVENT_SHARE_LEVELS[permission])
+      return res.status(400).json({ error: `Invalid permission value (use one of: ${Object.keys(EVENT_SHARE_LEVELS).join(", ")})` });
+
+    // Like family grants, a share can't carry more than the sharer holds
+    const exceeding = exceedingCapabilities(req.workspace.capabilities, EVENT_SHARE_LEVELS[permission]);
+    if (exceeding.length) return res.status(403).json({ error: `You cannot grant: ${exceeding.join(", ")}` });
+
+    const lookup = parseIdentifier(email ?? mobile);
+    if (!lookup) return res.status(400).json({ error: "A valid email or mobile is required" });
+
+    const event = await findManagedEvent(req);
+    if (!event) return res.status(404).json({ error: "Event not found" });
+
+    // Collaborators need an account to open the event
+    const collaborator = await User.findOne(lookup.query);
+    if (!collaborator || collaborator.isDeleted())
+      return res.status(404).json({ error: "No account found for this email or mobile" });
+
+    if (collaborator._id.equals(user._id) || collaborator._id.equals(event.user_id))
+      return res.status(422).json({ error: "You cannot share an event with yourself or its owner" });
+
+    const share = await EventShare.findOneAndUpdate(
+      { event_id: event._id, user_id: collaborator._id },
+      { permission, owner_id: event.user_id, shared_by: user._id },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    await notifyUsers([collaborator._id], {
+      title: "Event shared with you",
+      message: `${user.fullname} shared "${event.event_name}" with you (${permission} access).`,
+      data: { type: "event_shared", event_id: event._id, url: `/events/${event._id}` },
+    });
+
+    res.status(201).json({ message: `Event shared with ${lookup.value} (${permission})`, share });
+  } catch (err) {
+    console.error("Error in shareEvent:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/events/{id}/shares:
+ *   get:
+ *     summary: People an event is shared with (manage_members)
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shares of the event
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/EventShare'
+ *       403:
+ *         description: Missing manage_members
+ *       404:
+ *         description: Event not found
+ */
+export const getEventShares = async (req, res) => {
+  try {
+    if (!can(req.workspace, "manage_members"))
+      return res.status(403).json({ error: "Forbidden: manage_members permission required" });
+
+    const event = await findManagedEvent(req);
+    if (!event) return res.status(404).json({ error: "Event not found" });
+
+    const shares = await EventShare.find({ event_id: event._id })
+      .populate("user_id", "fullname email mobile")
+      .sort({ createdAt: 1 });
+
+    res.json(shares);
+  } catch (err) {
+    console.error("Error in getEventShares:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/events/{id}/shares/{shareId}:
+ *   delete:
+ *     summary: Stop sharing an event (manage_members), or remove an event shared with you
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: shareId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Share removed
+ *       404:
+ *         description: Share not found
+ */
+export const removeEventShare = async (req, res) => {
+  try {
+    const user = req.user;
+    const { id, shareId } = req.params;
+
+    const share = mongoose.isValidObjectId(id) && mongoose.isValidObjectId(shareId) &&
+      await EventShare.findOne({ _id: shareId, event_id: id });
+
+    // ✅ The collaborator can leave; otherwise manage_members on the event's household is needed
+    const isCollaborator = share && share.user_id.equals(user._id);
+    const isManager = share && share.owner_id.equals(req.workspace.owner_id) && can(req.workspace, "manage_members");
+    if (!isCollaborator && !isManager) return res.status(404).json({ error: "Share not found" });
+
+    await share.deleteOne();
+
+    if (!isCollaborator) {
+      await notifyUsers([share.user_id], {
+        title: "Event access removed",
+        message: `${user.fullname} stopped sharing an event with you.`,
+        data: { type: "event_share_removed", event_id: share.event_id, url: "/events" },
+      });
+    }
+
+    res.json({ message: isCollaborator ? "You no longer have access to this event" : "Event is no longer shared" });
+  } catch (err) {
+    console.error("Error in removeEventShare:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
@@ -1,12 +1,131 @@
-import FamilyPermission from "../models/FamilyPermission.js";
+import mongoose from "mongoose";
+import FamilyPermission, { activeGrantFilter } from "../models/FamilyPermission.js";
+import FamilyInvitation, { INVITATION_TTL_DAYS } from "../models/FamilyInvitation.js";
+import FamilyJoinCode, {
+  JOIN_CODE_TTL_HOURS,
+  JOIN_CODE_MAX_TTL_HOURS,
+  JOIN_CODE_MAX_USES,
+} from "../models/FamilyJoinCode.js";
 import User from "../models/User.js";
 import Event from "../models/Event.js";
+import { notifyUsers } from "../utils/notify.js";
+import {
+  expireFamilyInvitations,
+  sendInvitationNotice,
+  checkInviteRateLimit,
+  generateJoinCode,
+  normalizeJoinCode,
+  buildJoinPayload,
+} from "../utils/familyInvitations.js";
+import { parseIdentifier } from "../utils/identifier.js";
+import { buildGrant, exceedingCapabilities, resolveCapabilities } from "../utils/capabilities.js";
+import { buildAccessWindow, grantWindowOf } from "../utils/familyAccess.js";
+
+// Members who manage_members can't hand out more than they hold themselves
+const checkGrant = (req, permission, capabilities) => {
+  const { error, grant } = buildGrant(permission, capabilities);
+  if (error) return { status: 400, error };
+
+  const exceeding = exceedingCapabilities(req.workspace.capabilities, grant.capabilities);
+  if (exceeding.length) return { status: 403, error: `You cannot grant: ${exceeding.join(", ")}` };
+
+  return { grant };
+};
+
+// ...nor edit or remove a member who holds more than they do
+const checkTarget = (req, perm) => {
+  const exceeding = exceedingCapabilities(req.workspace.capabilities, resolveCapabilities(perm));
+  return exceeding.length ? `You cannot change a member who can: ${exceeding.join(", ")}` : null;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Capabilities:
+ *       type: object
+ *       description: >
+ *         What a member may do in the household. Presets: owner (everything),
+ *         write (add_payments, edit_events, delete_events, manage_categories),
+ *         accountant (view_financials, view_all_transactions, add_payments), read (nothing).
+ *       properties:
+ *         view_financials:
+ *           type: boolean
+ *         view_all_transactions:
+ *           type: boolean
+ *         add_payments:
+ *           type: boolean
+ *         edit_events:
+ *           type: boolean
+ *         delete_events:
+ *           type: boolean
+ *         manage_categories:
+ *           type: boolean
+ *         manage_members:
+ *           type: boolean
+ *     FamilyInvitation:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 67167a3a9b0c2b1a5d6e92c8
+ *         owner_id:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             fullname:
+ *               type: string
+ *             email:
+ *               type: string
+ *         invitee_id:
+ *           type: object
+ *           nullable: true
+ *           description: Null until the invited person signs up
+ *           properties:
+ *             _id:
+ *               type: string
+ *             fullname:
+ *               type: string
+ *             email:
+ *               type: string
+ *         email:
+ *           type: string
+ *           nullable: true
+ *           description: Address invited before they had an account
+ *         mobile:
+ *           type: string
+ *           nullable: true
+ *           description: Number invited before they had an account
+ *         permission:
+ *           type: string
+ *           enum: [owner, write, accountant, read, custom]
+ *         capabilities:
+ *           $ref: '#/components/schemas/Capabilities'
+ *         access_starts_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         access_expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, declined, cancelled, expired]
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ */
 
 /**
  * @swagger
  * /family/share:
  *   post:
- *     summary: Give a family member access (owner only)
+ *     summary: Invite a family member (manage_members); access starts once they accept
+ *     description: >
+ *       People without an account can be invited by email or mobile. They get an
+ *       invite message and are added automatically when they sign up with it.
  *     tags: [Family]
  *     security:
  *       - bearerAuth: []
@@ -17,71 +136,354 @@ import Event from "../models/Event.js";
  *           schema:
  *             type: object
  *             required:
- *               - member_email
  *               - permission
  *             properties:
  *               member_email:
  *                 type: string
  *                 example: member@example.com
+ *               member_mobile:
+ *                 type: string
+ *                 description: Use instead of member_email
+ *                 example: "9876543210"
  *               permission:
  *                 type: string
- *                 enum: [read, write]
+ *                 enum: [owner, write, accountant, read, custom]
  *                 example: read
+ *               capabilities:
+ *                 $ref: '#/components/schemas/Capabilities'
+ *               access_starts_at:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Access begins at this time (default immediately)
+ *               access_expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Access is removed at this time (default never)
  *     responses:
- *       200:
- *         description: Family member access granted successfully
+ *       201:
+ *         description: Invitation sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 invitation:
+ *                   $ref: '#/components/schemas/FamilyInvitation'
  *       400:
  *         description: Invalid input
- *       404:
- *         description: Member not found
+ *       403:
+ *         description: Missing manage_members, or granting more than you have
+ *       409:
+ *         description: Member already has access
+ *       429:
+ *         description: Too many invitations to people without an account (see retry_after)
  *       500:
  *         description: Server error
  */
 export const giveFamilyAccess = async (req, res) => {
   try {
     const user = req.user; // owner
-    const { member_email, permission } = req.body;
+    const householdId = req.workspace.owner_id;
+    const { member_email, member_mobile, permission, capabilities } = req.body;
+
+    if (!member_email && !member_mobile)
+      return res.status(400).json({ error: "member_email (or member_mobile) and permission are required" });
+
+    // ✅ Preset and/or individual capabilities
+    const { grant, status, error } = checkGrant(req, permission, capabilities);
+    if (error) return res.status(status).json({ error });
+
+    const { window, error: windowError } = buildAccessWindow(req.body);
+    if (windowError) return res.status(400).json({ error: windowError });
 
-    if (!member_email || !permission)
-      return res.status(400).json({ error: "member_email and permission are required" });
+    const lookup = parseIdentifier(member_email ?? member_mobile);
+    if (!lookup) return res.status(400).json({ error: "Invalid email or mobile number" });
 
-    // ✅ Allow 'owner' as valid permission
-    if (!["read", "write", "owner"].includes(permission))
-      return res.status(400).json({ error: "Invalid permission value" });
+    const member = await User.findOne(lookup.query);
 
-    // ✅ Prevent giving access to yourself
-    if (member_email === user.email)
+    // ✅ Prevent giving access to yourself (or to the household owner)
+    if (member?._id.equals(user._id) || member?._id.equals(householdId))
       return res.status(422).json({ error: "You cannot grant access to yourself" });
 
-    const member = await User.findOne({ email: member_email });
-    if (!member) return res.status(404).json({ error: "Member not found" });
+    if (member?.isDeleted()) return res.status(404).json({ error: "Member not found" });
 
-    // ✅ If permission is 'owner', consider adding logic to transfer ownership (optional)
-    if (permission === "owner") {
-      // Example logic (optional):
-      // await FamilyPermission.deleteMany({ owner_id: member._id });
-      // Or just allow multiple owners — depends on your business rule
+    if (member && await FamilyPermission.exists({ owner_id: householdId, member_id: member._id }))
+      return res.status(409).json({ error: "Member already has access, edit their permission instead" });
+
+    // ✅ Re-inviting refreshes the open invitation instead of stacking duplicates
+    const filter = member
+      ? { owner_id: householdId, invitee_id: member._id, status: "pending" }
+      : { owner_id: householdId, invitee_id: null, [lookup.type]: lookup.value, status: "pending" };
+
+    if (!member) {
+      const limited = await checkInviteRateLimit(householdId, filter);
+      if (limited) return res.status(429).json(limited);
     }
 
-    await FamilyPermission.findOneAndUpdate(
-      { owner_id: user._id, member_id: member._id },
-      { permission },
-      { upsert: true, new: true }
+    const invitation = await FamilyInvitation.findOneAndUpdate(
+      filter,
+      {
+        ...grant,
+        access_starts_at: window.starts_at,
+        access_expires_at: window.expires_at,
+        expires_at: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000),
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
     );
 
-    res.json({ message: `Family member access (${permission}) granted successfully` });
+    await sendInvitationNotice(invitation, user, member);
+
+    res.status(201).json({
+      message: member
+        ? `Invitation (${grant.permission}) sent to ${lookup.value}`
+        : `${lookup.value} isn't registered yet; they'll get ${grant.permission} access when they sign up`,
+      invitation,
+    });
   } catch (err) {
     console.error("Error in giveFamilyAccess:", err);
     res.status(500).json({ error: "Server error" });
   }
 };
 
+/**
+ * @swagger
+ * /family/invitations:
+ *   get:
+ *     summary: Pending invitations for the logged-in user
+ *     tags: [Family]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Open invitations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/FamilyInvitation'
+ */
+export const getReceivedInvitations = async (req, res) => {
+  try {
+    const invitations = await FamilyInvitation.find({
+      invitee_id: req.user._id,
+      status: "pending",
+      expires_at: { $gt: new Date() },
+    })
+      .populate("owner_id", "fullname email")
+      .sort({ createdAt: -1 });
+
+    res.json(invitations);
+  } catch (err) {
+    console.error("Error in getReceivedInvitations:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /family/invitations/sent:
+ *   get:
+ *     summary: Invitations sent for the household (manage_members)
+ *     tags: [Family]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, declined, cancelled, expired]
+ *     responses:
+ *       200:
+ *         description: Sent invitations, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/FamilyInvitation'
+ */
+export const getSentInvitations = async (req, res) => {
+  try {
+    await expireFamilyInvitations();
+
+    const filter = { owner_id: req.workspace.owner_id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const invitations = await FamilyInvitation.find(filter)
+      .populate("invitee_id", "fullname email")
+      .sort({ createdAt: -1 });
+
+    res.json(invitations);
+  } catch (err) {
+    console.error("Error in getSentInvitations:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+// Load an invitation addressed to the logged-in user that can still be answered
+const findOpenInvitation = async (id, user) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const invitation = await FamilyInvitation.findOne({ _id: id, invitee_id: user._id });
+  return invitation?.isOpen() ? invitation : null;
+};
+
+/**
+ * @swagger
+ * /family/invitations/{id}/accept:
+ *   post:
+ *     summary: Accept a household invitation
+ *     tags: [Family]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation accepted, access granted
+ *       404:
+ *         description: Invitation not found, expired or already answered
+ */
+export const acceptInvitation = async (req, res) => {
+  try {
+    const user = req.user;
+    const invitation = await findOpenInvitation(req.params.id, user);
+    if (!invitation)
+      return res.status(404).json({ error: "Invitation not found, expired or already answered" });
+
+    const owner = await User.findById(invitation.owner_id);
+    if (!owner || owner.isDeleted()) {
+      invitation.status = "cancelled";
+      await invitation.save();
+      return res.status(404).json({ error: "Invitation not found, expired or already answered" });
+    }
+
+    const permission = await FamilyPermission.findOneAndUpdate(
+      { owner_id: owner._id, member_id: user._id },
+      {
+        permission: invitation.permission,
+        capabilities: resolveCapabilities(invitation),
+        ...grantWindowOf(invitation),
+        expiry_notified_at: null,
+      },
+      { upsert: true, new: true }
+    );
+
+    invitation.status = "accepted";
+    invitation.responded_at = new Date();
+    await invitation.save();
+
+    await notifyUsers([owner._id], {
+      title: "Invitation accepted",
+      message: `${user.fullname} accepted your invitation and now has ${invitation.permission} access.`,
+      data: { invitation_id: invitation._id, url: "/family" },
+    });
+
+    res.json({ message: "Invitation accepted", permission });
+  } catch (err) {
+    console.error("Error in acceptInvitation:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /family/invitations/{id}/decline:
+ *   post:
+ *     summary: Decline a household invitation
+ *     tags: [Family]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation declined
+ *       404:
+ *         description: Invitation not found, expired or already answered
+ */
+export const declineInvitation = async (req, res) => {
+  try {
+    const user = req.user;
+    const invitation = await findOpenInvitation(req.params.id, user);
+    if (!invitation)
+      return res.status(404).json({ error: "Invitation not found, expired or already answered" });
+
+    invitation.status = "declined";
+    invitation.responded_at = new Date();
+    await invitation.save();
+
+    await notifyUsers([invitation.owner_id], {
+      title: "Invitation declined",
+      message: `${user.fullname} declined your household invitation.`,
+      data: { invitation_id: invitation._id, url: "/family" },
+    });
+
+    res.json({ message: "Invitation declined" });
+  } catch (err) {
+    console.error("Error in declineInvitation:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /family/invitations/{id}:
+ *   delete:
+ *     summary: Cancel a pending invitation (manage_members)
+ *     tags: [Family]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation cancelled
+ *       404:
+ *         description: Pending invitation not found
+ */
+export const cancelInvitation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id))
+      return res.status(404).json({ error: "Pending invitation not found" });
+
+    const invitation = await FamilyInvitation.findOneAndUpdate(
+      { _id: id, owner_id: req.workspace.owner_id, status: "pending" },
+      { status: "cancelled", responded_at: new Date() },
+      { new: true }
+    );
+    if (!invitation) return res.status(404).json({ error: "Pending invitation not found" });
+
+    res.json({ message: "Invitation cancelled" });
+  } catch (err) {
+    console.error("Error in cancelInvitation:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
 
 /**
  * @swagger
  * /family/permissions:
  *   get:
- *     summary: Fetch all family members and their permissions (owner only)
+ *     summary: Fetch all family members and their permissions (manage_members)
  *     tags: [Family]
  *     security:
  *       - bearerAuth: []
@@ -110,18 +512,35 @@ export const giveFamilyAccess = async (req, res) => {
  *                   permission:
  *                     type: string
  *                     example: read
+ *                   capabilities:
+ *                     $ref: '#/components/schemas/Capabilities'
+ *                   starts_at:
+ *                     type: string
+ *                     format: date-time
+ *                     nullable: true
+ *                   expires_at:
+ *                     type: string
+ *                     format: date-time
+ *                     nullable: true
+ *                   active:
+ *                     type: boolean
+ *                     description: False while scheduled (starts_at in the future)
  *       500:
  *         description: Server error
  */
 export const fetchFamilyPermissions = async (req, res) => {
   try {
-    const user = req.user;
-
-    const permissions = await FamilyPermission.find({ owner_id: user._id })
+    const permissions = await FamilyPermission.find({ owner_id: req.workspace.owner_id })
       .populate("member_id", "fullname email")
-      .select("member_id permission");
+      .select("member_id permission capabilities starts_at expires_at")
+      .lean();
 
-    res.json(permissions);
+    const now = new Date();
+    res.json(permissions.map((p) => ({
+      ...p,
+      capabilities: resolveCapabilities(p),
+      active: (!p.starts_at || p.starts_at <= now) && (!p.expires_at || p.expires_at > now),
+    })));
   } catch (err) {
     console.error("Error in fetchFamilyPermissions:", err);
     res.status(500).json({ error: "Server error" });
@@ -132,7 +551,7 @@ export const fetchFamilyPermissions = async (req, res) => {
  * @swagger
  * /family/permissions/{id}:
  *   put:
- *     summary: Edit a family member’s permission (owner only)
+ *     summary: Edit a family member’s permission, capabilities or access dates (manage_members)
  *     tags: [Family]
  *     security:
  *       - bearerAuth: []
@@ -150,16 +569,30 @@ export const fetchFamilyPermissions = async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - permission
  *             properties:
  *               permission:
  *                 type: string
- *                 enum: [read, write]
+ *                 enum: [owner, write, accountant, read, custom]
  *                 example: write
+ *               capabilities:
+ *                 $ref: '#/components/schemas/Capabilities'
+ *               access_starts_at:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Access begins at this time (default immediately)
+ *               access_expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Access is removed at this time (default never)
  *     responses:
  *       200:
  *         description: Family member permission updated successfully
+ *       400:
+ *         description: Invalid input
+ *       403:
+ *         description: Granting more than you have, editing a member who has more, or editing your own access
  *       404:
  *         description: Permission not found
  *       500:
@@ -169,16 +602,20 @@ export const editFamilyPermission = async (req, res) => {
   try {
     const user = req.user;
     const { id } = req.params;
-    const { permission } = req.body;
+    const { permission, capabilities } = req.body;
+    const changesGrant = permission !== undefined || capabilities !== undefined;
+    const changesWindow = "access_starts_at" in req.body || "access_expires_at" in req.body;
+
+    if (!changesGrant && !changesWindow)
+      return res.status(400).json({ error: "permission, capabilities or access dates are required" });
 
-    // ✅ Allow read, write, and owner
-    if (!["read", "write", "owner"].includes(permission))
-      return res.status(400).json({ error: "Invalid permission" });
+    const { grant, status, error } = changesGrant ? checkGrant(req, permission, capabilities) : {};
+    if (error) return res.status(status).json({ error });
 
-    // ✅ Ensure the logged-in user is the real owner of this permission record
-    const perm = await FamilyPermission.findOne({
+    // ✅ Ensure the permission record belongs to the selected household
+    const perm = mongoose.isValidObjectId(id) && await FamilyPermission.findOne({
       _id: id,
-      owner_id: user._id,
+      owner_id: req.workspace.owner_id,
     });
 
     if (!perm)
@@ -186,11 +623,31 @@ export const editFamilyPermission = async (req, res) => {
         .status(404)
         .json({ error: "Family permission not found or not owned by you" });
 
+    if (perm.member_id.equals(user._id))
+      return res.status(403).json({ error: "You cannot change your own access" });
+
+    const targetError = checkTarget(req, perm);
+    if (targetError) return res.status(403).json({ error: targetError });
+
+    const { window, error: windowError } = buildAccessWindow(req.body, perm);
+    if (windowError) return res.status(400).json({ error: windowError });
+
     // ✅ Update permission
-    perm.permission = permission;
+    if (grant) {
+      perm.permission = grant.permission;
+      perm.capabilities = grant.capabilities;
+    }
+    if (perm.expires_at?.getTime() !== window.expires_at?.getTime()) perm.expiry_notified_at = null;
+    perm.starts_at = window.starts_at;
+    perm.expires_at = window.expires_at;
     await perm.save();
 
-    res.json({ message: `Family member permission updated to '${permission}' successfully` });
+    res.json({
+      message: `Family member permission updated to '${perm.permission}' successfully`,
+      capabilities: resolveCapabilities(perm),
+      starts_at: perm.starts_at,
+      expires_at: perm.expires_at,
+    });
   } catch (err) {
     console.error("Error in editFamilyPermission:", err);
     res.status(500).json({ error: "Server error" });
@@ -198,6 +655,435 @@ export const editFamilyPermission = async (req, res) => {
 };
 
 
+/**
+ * @swagger
+ * /family/permissions/{id}:
+ *   delete:
+ *     summary: Revoke a family member's access (manage_members)
+ *     tags: [Family]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Family permission ID
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Access revoked
+ *       403:
+ *         description: The member holds capabilities you don't have
+ *       404:
+ *         description: Permission not found
+ *       500:
+ *         description: Server error
+ */
+export const revokeFamilyAccess = async (req, res) => {
+  try {
+    const user = req.user;
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id))
+      return res.status(404).json({ error: "Family permission not found or not owned by you" });
+
+    const perm = await FamilyPermission.findOne({ _id: id, owner_id: req.workspace.owner_id });
+    if (!perm)
+      return res
+        .status(404)
+        .json({ error: "Family permission not found or not owned by you" });
+
+    const targetError = checkTarget(req, perm);
+    if (targetError) return res.status(403).json({ error: targetError });
+
+    await perm.deleteOne();
+
+    // Access is checked against FamilyPermission on every request, so the
+    // member loses it on their very next call; the push tells the app to refresh.
+    await notifyUsers([perm.member_id], {
+      title: "Household access removed",
+      message: `${user.fullname} removed your access to their household.`,
+      data: { type: "family_access_revoked", owner_id: req.workspace.owner_id, url: "/events" },
+    });
+
+    res.json({ message: "Family member access revoked successfully" });
+  } catch (err) {
+    console.error("Error in revokeFamilyAccess:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /family/leave:
+ *   post:
+ *     summary: Leave a household you were given access to
+ *     tags: [Family]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               owner_id:
+ *                 type: string
+ *                 description: Household owner; required when you belong to more than one household
+ *                 example: 67167a3a9b0c2b1a5d6e92c9
+ *     responses:
+ *       200:
+ *         description: Left the household
+ *       404:
+ *         description: Not a member of this household
+ *       422:
+ *         description: owner_id required (member of several households)
+ *       500:
+ *         description: Server error
+ */
+export const leaveHousehold = async (req, res) => {
+  try {
+    const user = req.user;
+    const ownerId = req.body?.owner_id;
+
+    if (ownerId && !mongoose.isValidObjectId(ownerId))
+      return res.status(404).json({ error: "You are not a member of this household" });
+
+    const memberships = await FamilyPermission.find({
+      member_id: user._id,
+      ...(ownerId && { owner_id: ownerId }),
+    });
+
+    if (!memberships.length)
+      return res.status(404).json({ error: "You are not a member of this household" });
+
+    if (memberships.length > 1)
+      return res.status(422).json({ error: "You belong to several households, owner_id is required" });
+
+    const [perm] = memberships;
+    await perm.deleteOne();
+
+    await notifyUsers([perm.owner_id], {
+      title: "Member left",
+      message: `${user.fullname} left your household.`,
+      data: { type: "family_member_left", member_id: user._id, url: "/family" },
+    });
+
+    res.json({ message: "You left the household" });
+  } catch (err) {
+    console.error("Error in leaveHousehold:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FamilyJoinCode:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         code:
+ *           type: string
+ *           example: K7MQ2XRA
+ *         qr_payload:
+ *           type: string
+ *           description: Text to render as a QR code (join link when APP_URL is set, else the code)
+ *           example: https://app.example.com/join?code=K7MQ2XRA
+ *         permission:
+ *           type: string
+ *           enum: [owner, write, accountant, read, custom]
+ *         capabilities:
+ *           $ref: '#/components/schemas/Capabilities'
+ *         access_starts_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         access_expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         max_uses:
+ *           type: integer
+ *         uses:
+ *           type: integer
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ */
+
+const withQrPayload = (joinCode) => ({ ...joinCode.toObject(), qr_payload: buildJoinPayload(joinCode.code) });
+
+/**
+ * @swagger
+ * /family/join-codes:
+ *   post:
+ *     summary: Create a join code for the household (manage_members)
+ *     description: >
+ *       Anyone logged in who enters the code (or scans its QR payload) joins with
+ *       the given permission, until the code expires, reaches max_uses or is revoked.
+ *     tags: [Family]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permission
+ *             properties:
+ *               permission:
+ *                 type: string
+ *                 enum: [owner, write, accountant, read, custom]
+ *                 example: read
+ *               capabilities:
+ *                 $ref: '#/components/schemas/Capabilities'
+ *               max_uses:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 50
+ *                 default: 1
+ *               ttl_hours:
+ *                 type: number
+ *                 maximum: 168
+ *                 description: Defaults to FAMILY_JOIN_CODE_TTL_HOURS (24)
+ *               access_starts_at:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Access begins at this time (default immediately)
+ *               access_expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Access is removed at this time (default never)
+ *     responses:
+ *       201:
+ *         description: Join code created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 join_code:
+ *                   $ref: '#/components/schemas/FamilyJoinCode'
+ *       400:
+ *         description: Invalid input
+ *       403:
+ *         description: Missing manage_members, or granting more than you have
+ */
+export const createJoinCode = async (req, res) => {
+  try {
+    const { permission, capabilities, max_uses = 1, ttl_hours = JOIN_CODE_TTL_HOURS } = req.body;
+
+    const { grant, status, error } = checkGrant(req, permission, capabilities);
+    if (error) return res.status(status).json({ error });
+
+    if (!Number.isInteger(max_uses) || max_uses < 1 || max_uses > JOIN_CODE_MAX_USES)
+      return res.status(400).json({ error: `max_uses must be between 1 and ${JOIN_CODE_MAX_USES}` });
+
+    if (typeof ttl_hours !== "number" || ttl_hours <= 0 || ttl_hours > JOIN_CODE_MAX_TTL_HOURS)
+      return res.status(400).json({ error: `ttl_hours must be between 0 and ${JOIN_CODE_MAX_TTL_HOURS}` });
+
+    const { window, error: windowError } = buildAccessWindow(req.body);
+    if (windowError) return res.status(400).json({ error: windowError });
+
+    // Collisions are very unlikely, but the unique index would reject one
+    let code;
+    do code = generateJoinCode();
+    while (await FamilyJoinCode.exists({ code }));
+
+    const joinCode = await FamilyJoinCode.create({
+      owner_id: req.workspace.owner_id,
+      created_by: req.user._id,
+      code,
+      ...grant,
+      access_starts_at: window.starts_at,
+      access_expires_at: window.expires_at,
+      max_uses,
+      expires_at: new Date(Date.now() + ttl_hours * 60 * 60 * 1000),
+    });
+
+    res.status(201).json({ message: "Join code created", join_code: withQrPayload(joinCode) });
+  } catch (err) {
+    console.error("Error in createJoinCode:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /family/join-codes:
+ *   get:
+ *     summary: Active join codes of the household (manage_members)
+ *     tags: [Family]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Codes that can still be redeemed, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/FamilyJoinCode'
+ */
+export const getJoinCodes = async (req, res) => {
+  try {
+    const joinCodes = await FamilyJoinCode.find({
+      owner_id: req.workspace.owner_id,
+      revoked_at: null,
+      expires_at: { $gt: new Date() },
+      $expr: { $lt: ["$uses", "$max_uses"] },
+    })
+      .populate("used_by", "fullname email")
+      .sort({ createdAt: -1 });
+
+    res.json(joinCodes.map(withQrPayload));
+  } catch (err) {
+    console.error("Error in getJoinCodes:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /family/join-codes/{id}:
+ *   delete:
+ *     summary: Revoke a join code (manage_members)
+ *     tags: [Family]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Join code revoked
+ *       404:
+ *         description: Active join code not found
+ */
+export const revokeJoinCode = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id))
+      return res.status(404).json({ error: "Active join code not found" });
+
+    const joinCode = await FamilyJoinCode.findOneAndUpdate(
+      { _id: id, owner_id: req.workspace.owner_id, revoked_at: null },
+      { revoked_at: new Date() },
+      { new: true }
+    );
+    if (!joinCode) return res.status(404).json({ error: "Active join code not found" });
+
+    res.json({ message: "Join code revoked" });
+  } catch (err) {
+    console.error("Error in revokeJoinCode:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /family/join:
+ *   post:
+ *     summary: Join a household with a join code
+ *     tags: [Family]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: K7MQ2XRA
+ *     responses:
+ *       200:
+ *         description: Joined the household
+ *       404:
+ *         description: Code invalid, expired, used up or revoked
+ *       409:
+ *         description: Already a member of this household
+ *       422:
+ *         description: Code belongs to your own household
+ */
+export const redeemJoinCode = async (req, res) => {
+  try {
+    const user = req.user;
+    const invalid = { error: "Join code is invalid or has expired" };
+
+    const joinCode = await FamilyJoinCode.findOne({ code: normalizeJoinCode(req.body?.code) });
+    if (!joinCode?.isActive()) return res.status(404).json(invalid);
+
+    if (joinCode.owner_id.equals(user._id))
+      return res.status(422).json({ error: "You cannot join your own household" });
+
+    if (await FamilyPermission.exists({ owner_id: joinCode.owner_id, member_id: user._id }))
+      return res.status(409).json({ error: "You are already a member of this household" });
+
+    const owner = await User.findById(joinCode.owner_id);
+    if (!owner || owner.isDeleted()) return res.status(404).json(invalid);
+
+    // ✅ Claim a use atomically so concurrent redemptions can't exceed max_uses
+    const claimed = await FamilyJoinCode.findOneAndUpdate(
+      {
+        _id: joinCode._id,
+        revoked_at: null,
+        expires_at: { $gt: new Date() },
+        used_by: { $ne: user._id },
+        $expr: { $lt: ["$uses", "$max_uses"] },
+      },
+      { $inc: { uses: 1 }, $push: { used_by: user._id } }
+    );
+    if (!claimed) return res.status(404).json(invalid);
+
+    const permission = await FamilyPermission.findOneAndUpdate(
+      { owner_id: owner._id, member_id: user._id },
+      {
+        permission: joinCode.permission,
+        capabilities: resolveCapabilities(joinCode),
+        ...grantWindowOf(joinCode),
+        expiry_notified_at: null,
+      },
+      { upsert: true, new: true }
+    );
+
+    // An open invitation to the same household is now moot
+    await FamilyInvitation.updateMany(
+      { owner_id: owner._id, invitee_id: user._id, status: "pending" },
+      { status: "accepted", responded_at: new Date() }
+    );
+
+    await notifyUsers([...new Set([owner._id.toString(), joinCode.created_by.toString()])], {
+      title: "New household member",
+      message: `${user.fullname} joined your household with a join code and has ${joinCode.permission} access.`,
+      data: { type: "family_member_joined", member_id: user._id, url: "/family" },
+    });
+
+    res.json({ message: `You joined ${owner.fullname}'s household`, permission });
+  } catch (err) {
+    console.error("Error in redeemJoinCode:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
 /**
  * @swagger
  * /events/search:
@@ -251,6 +1137,7 @@ export const searchEvent = async (req, res) => {
 
     const sharedOwners = await FamilyPermission.find({
       member_id: user._id,
+      ...activeGrantFilter(),
     }).distinct("owner_id");
 
     const ownerIds = [user._id, ...sharedOwners];
@@ -0,0 +1,362 @@
+import mongoose from "mongoose";
+import OwnershipTransfer from "../models/OwnershipTransfer.js";
+import FamilyPermission, { activeGrantFilter } from "../models/FamilyPermission.js";
+import User from "../models/User.js";
+import Event from "../models/Event.js";
+import { issueOtp, verifyOtp } from "../utils/otp.js";
+import { sendTemplateEmail } from "../utils/email.js";
+import { sendSmsOtp } from "../utils/sms.js";
+import { notifyUsers } from "../utils/notify.js";
+import { buildGrant } from "../utils/capabilities.js";
+import { completeOwnershipTransfer, supportsTransactions } from "../utils/ownershipTransfer.js";
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OwnershipTransfer:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         owner_id:
+ *           type: string
+ *           description: Current owner (proposer)
+ *         new_owner_id:
+ *           type: string
+ *         previous_owner_permission:
+ *           type: string
+ *           enum: [owner, write, accountant, read, custom]
+ *         status:
+ *           type: string
+ *           enum: [pending, completed, cancelled, expired]
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ */
+
+// The confirmation code goes to the new owner's email, or mobile if they have none
+const sendTransferOtp = async (transfer, newOwner) => {
+  const method = newOwner.email ? "email" : "mobile";
+  const identifier = newOwner.email ?? newOwner.mobile;
+
+  const { otp, error, retry_after } = await issueOtp({
+    identifier,
+    method,
+    purpose: "ownership_transfer",
+    extra_data: { transfer_id: transfer._id.toString() },
+  });
+  if (error) return { error, retry_after };
+
+  if (method === "email") await sendTemplateEmail(identifier, "ownership_transfer_otp", { otp });
+  else await sendSmsOtp(identifier, otp);
+
+  return { sent_to: method };
+};
+
+const findTransfer = async (id, filter) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const transfer = await OwnershipTransfer.findOne({ _id: id, ...filter });
+  if (transfer && transfer.status === "pending" && !transfer.isOpen()) {
+    transfer.status = "expired";
+    await transfer.save();
+  }
+  return transfer?.isOpen() ? transfer : null;
+};
+
+/**
+ * @swagger
+ * /family/transfer:
+ *   post:
+ *     summary: Propose handing your household to one of its members
+ *     description: >
+ *       The member receives an OTP and confirms with POST /family/transfer/{id}/confirm.
+ *       All events, members and pending invitations then move to them, and you stay
+ *       on as a member with previous_owner_permission. The household is merged into
+ *       the member's own, so its members also see the events the member already has;
+ *       when there are any, merge_existing_events must be true.
+ *     tags: [Family]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - member_id
+ *             properties:
+ *               member_id:
+ *                 type: string
+ *                 description: User id of the new owner (must be a member)
+ *               previous_owner_permission:
+ *                 type: string
+ *                 enum: [owner, write, accountant, read, custom]
+ *                 default: owner
+ *               previous_owner_capabilities:
+ *                 $ref: '#/components/schemas/Capabilities'
+ *               merge_existing_events:
+ *                 type: boolean
+ *                 description: Confirms that household members may see the new owner's existing events
+ *     responses:
+ *       201:
+ *         description: Transfer proposed, OTP sent to the new owner
+ *       400:
+ *         description: Invalid permission
+ *       404:
+ *         description: Member not found in your household
+ *       409:
+ *         description: The new owner already has events and merge_existing_events was not set (see existing_events)
+ *       429:
+ *         description: Resend cooldown active (see retry_after)
+ */
+export const proposeOwnershipTransfer = async (req, res) => {
+  try {
+    const user = req.user;
+    const { member_id, previous_owner_permission = "owner", previous_owner_capabilities, merge_existing_events } = req.body;
+
+    const { grant, error: grantError } = buildGrant(previous_owner_permission, previous_owner_capabilities);
+    if (grantError) return res.status(400).json({ error: grantError });
+
+    const membership = mongoose.isValidObjectId(member_id) &&
+      await FamilyPermission.findOne({ owner_id: user._id, member_id, ...activeGrantFilter() });
+    const newOwner = membership && await User.findById(member_id);
+    if (!newOwner || newOwner.isDeleted())
+      return res.status(404).json({ error: "Member not found in your household" });
+
+    // ⚠️ The member's own events join the household too; nobody here has seen them yet
+    const existing_events = await Event.countDocuments({ user_id: newOwner._id, is_deleted: false });
+    if (existing_events && merge_existing_events !== true)
+      return res.status(409).json({
+        error: `${newOwner.fullname} already has ${existing_events} event(s) of their own. Your household's members will see them after the transfer; send merge_existing_events: true to go ahead.`,
+        existing_events,
+      });
+
+    // One open proposal at a time
+    await OwnershipTransfer.updateMany({ owner_id: user._id, status: "pending" }, { status: "cancelled" });
+
+    const transfer = await OwnershipTransfer.create({
+      owner_id: user._id,
+      new_owner_id: newOwner._id,
+      previous_owner_permission: grant.permission,
+      previous_owner_capabilities: grant.capabilities,
+    });
+
+    const { error, retry_after, sent_to } = await sendTransferOtp(transfer, newOwner);
+    if (error) {
+      transfer.status = "cancelled";
+      await transfer.save();
+      return res.status(429).json({ error, retry_after });
+    }
+
+    await notifyUsers([newOwner._id], {
+      title: "Household ownership",
+      message: `${user.fullname} wants to make you the owner of their household. Its members will also see the events you already have. Enter the code we sent you to accept.`,
+      data: { type: "ownership_transfer", transfer_id: transfer._id, url: "/family/transfer" },
+    });
+
+    res.status(201).json({ message: `Transfer proposed, code sent to the new owner's ${sent_to}`, transfer });
+  } catch (err) {
+    console.error("Error in proposeOwnershipTransfer:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /family/transfer:
+ *   get:
+ *     summary: Pending ownership transfers you proposed or were offered
+ *     tags: [Family]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Open transfers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/OwnershipTransfer'
+ */
+export const getOwnershipTransfers = async (req, res) => {
+  try {
+    const transfers = await OwnershipTransfer.find({
+      $or: [{ owner_id: req.user._id }, { new_owner_id: req.user._id }],
+      status: "pending",
+      expires_at: { $gt: new Date() },
+    })
+      .populate("owner_id", "fullname email")
+      .populate("new_owner_id", "fullname email")
+      .sort({ createdAt: -1 });
+
+    res.json(transfers);
+  } catch (err) {
+    console.error("Error in getOwnershipTransfers:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /family/transfer/{id}/otp:
+ *   post:
+ *     summary: Send the confirmation code again (new owner)
+ *     tags: [Family]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Code sent
+ *       404:
+ *         description: Transfer not found or no longer pending
+ *       429:
+ *         description: Resend cooldown active (see retry_after)
+ */
+export const resendTransferOtp = async (req, res) => {
+  try {
+    const transfer = await findTransfer(req.params.id, { new_owner_id: req.user._id });
+    if (!transfer) return res.status(404).json({ error: "Transfer not found or no longer pending" });
+
+    const { error, retry_after, sent_to } = await sendTransferOtp(transfer, req.user);
+    if (error) return res.status(429).json({ error, retry_after });
+
+    res.json({ message: `Code sent to your ${sent_to}` });
+  } catch (err) {
+    console.error("Error in resendTransferOtp:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /family/transfer/{id}/confirm:
+ *   post:
+ *     summary: Accept ownership with the OTP (new owner)
+ *     tags: [Family]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - otp
+ *             properties:
+ *               otp:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Ownership transferred
+ *       400:
+ *         description: Invalid or expired OTP
+ *       404:
+ *         description: Transfer not found or no longer pending
+ *       503:
+ *         description: The database does not support transactions (needs a replica set)
+ */
+export const confirmOwnershipTransfer = async (req, res) => {
+  try {
+    const user = req.user;
+    const transfer = await findTransfer(req.params.id, { new_owner_id: user._id });
+    if (!transfer) return res.status(404).json({ error: "Transfer not found or no longer pending" });
+
+    // Checked before the OTP so the code isn't used up on a server that can't finish
+    if (!(await supportsTransactions()))
+      return res.status(503).json({ error: "Ownership transfer is not available right now" });
+
+    const { error, status } = await verifyOtp({
+      identifier: [user.email, user.mobile].filter(Boolean),
+      purpose: "ownership_transfer",
+      otp: req.body.otp,
+      extra: { transfer_id: transfer._id.toString() },
+    });
+    if (error) return res.status(status).json({ error });
+
+    // Membership may have been revoked since the proposal
+    const [previousOwner, stillMember] = await Promise.all([
+      User.findById(transfer.owner_id),
+      FamilyPermission.exists({ owner_id: transfer.owner_id, member_id: user._id, ...activeGrantFilter() }),
+    ]);
+    if (!previousOwner || previousOwner.isDeleted() || !stillMember) {
+      transfer.status = "cancelled";
+      await transfer.save();
+      return res.status(404).json({ error: "Transfer not found or no longer pending" });
+    }
+
+    const moved = await completeOwnershipTransfer(transfer);
+    if (!moved) return res.status(404).json({ error: "Transfer not found or no longer pending" });
+
+    await notifyUsers([previousOwner._id], {
+      title: "Ownership transferred",
+      message: `${user.fullname} is now the owner of your household. You have ${transfer.previous_owner_permission} access.`,
+      data: { type: "ownership_transferred", owner_id: user._id, url: "/family" },
+    });
+
+    res.json({ message: "You are now the owner of this household", ...moved });
+  } catch (err) {
+    console.error("Error in confirmOwnershipTransfer:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /family/transfer/{id}/cancel:
+ *   post:
+ *     summary: Withdraw (current owner) or decline (new owner) a transfer
+ *     tags: [Family]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Transfer cancelled
+ *       404:
+ *         description: Transfer not found or no longer pending
+ */
+export const cancelOwnershipTransfer = async (req, res) => {
+  try {
+    const user = req.user;
+    const transfer = await findTransfer(req.params.id, {
+      $or: [{ owner_id: user._id }, { new_owner_id: user._id }],
+    });
+    if (!transfer) return res.status(404).json({ error: "Transfer not found or no longer pending" });
+
+    transfer.status = "cancelled";
+    await transfer.save();
+
+    const other = transfer.owner_id.equals(user._id) ? transfer.new_owner_id : transfer.owner_id;
+    await notifyUsers([other], {
+      title: "Ownership transfer cancelled",
+      message: `${user.fullname} cancelled the household ownership transfer.`,
+      data: { type: "ownership_transfer_cancelled", transfer_id: transfer._id },
+    });
+
+    res.json({ message: "Transfer cancelled" });
+  } catch (err) {
+    console.error("Error in cancelOwnershipTransfer:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
@@ -0,0 +1,378 @@
+import mongoose from "mongoose";
+import { generateRegistrationOptions, generateAuthenticationOptions } from "@simplewebauthn/server";
+import Passkey from "../models/Passkey.js";
+import PasskeyChallenge from "../models/PasskeyChallenge.js";
+import User from "../models/User.js";
+import { generateChallengeToken, verifyChallengeToken } from "../utils/jwt.js";
+import { buildLoginResponse, startTwoFactor } from "../utils/session.js";
+import { parseIdentifier } from "../utils/identifier.js";
+import { recordLogin } from "../utils/loginAudit.js";
+import { rp, verifyPasskeyRegistration, verifyPasskeyAuthentication } from "../utils/passkeys.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Passkeys
+ *   description: WebAuthn passkey registration and login
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PasskeyOptionsResponse:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: boolean
+ *         options:
+ *           type: object
+ *           description: Pass to navigator.credentials.create() / get() (JSON form)
+ *         passkey_token:
+ *           type: string
+ *           description: Send back with the authenticator response
+ *     PasskeyVerifyRequest:
+ *       type: object
+ *       required:
+ *         - passkey_token
+ *         - response
+ *       properties:
+ *         passkey_token:
+ *           type: string
+ *         response:
+ *           type: object
+ *           description: Credential JSON returned by the browser / platform authenticator
+ */
+
+const CEREMONY_TTL_SECONDS = 5 * 60;
+
+// Challenges are kept server-side and deleted on first use (no replay within the TTL)
+const saveChallenge = (challenge, purpose, user = null) =>
+  PasskeyChallenge.create({
+    challenge,
+    purpose,
+    user_id: user?._id ?? null,
+    expires_at: new Date(Date.now() + CEREMONY_TTL_SECONDS * 1000),
+  });
+
+const claimChallenge = (challenge, purpose, userId = null) =>
+  PasskeyChallenge.findOneAndDelete({ challenge, purpose, user_id: userId, expires_at: { $gt: new Date() } });
+
+/**
+ * @swagger
+ * /api/passkeys/register/options:
+ *   post:
+ *     summary: Start passkey registration for the logged-in user
+ *     tags: [Passkeys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Registration options
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PasskeyOptionsResponse'
+ */
+export const passkeyRegisterOptions = async (req, res) => {
+  try {
+    const user = req.user;
+    const existing = await Passkey.find({ user_id: user._id }).select("credential_id transports");
+
+    const options = await generateRegistrationOptions({
+      rpName: rp().name,
+      rpID: rp().id,
+      userName: user.email || user.mobile || user._id.toString(),
+      userDisplayName: user.fullname,
+      userID: new TextEncoder().encode(user._id.toString()),
+      attestationType: "none",
+      excludeCredentials: existing.map((p) => ({ id: p.credential_id, transports: p.transports })),
+      authenticatorSelection: { residentKey: "preferred", userVerification: "preferred" },
+    });
+    await saveChallenge(options.challenge, "passkey_register", user);
+
+    res.json({
+      status: true,
+      options,
+      passkey_token: generateChallengeToken(user, "passkey_register", CEREMONY_TTL_SECONDS, {
+        challenge: options.challenge,
+      }),
+    });
+  } catch (err) {
+    console.error("Error in passkeyRegisterOptions:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/passkeys/register/verify:
+ *   post:
+ *     summary: Finish passkey registration and store the credential
+ *     tags: [Passkeys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/PasskeyVerifyRequest'
+ *               - type: object
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                     example: Dad's iPhone
+ *     responses:
+ *       201:
+ *         description: Passkey registered
+ *       400:
+ *         description: Verification failed or ceremony expired
+ *       409:
+ *         description: Passkey already registered
+ */
+export const passkeyRegisterVerify = async (req, res) => {
+  try {
+    const user = req.user;
+    const { passkey_token, response, name } = req.body;
+
+    const ceremony = verifyChallengeToken(passkey_token, "passkey_register");
+    const claimed = ceremony && ceremony.id === user._id.toString() && response &&
+      await claimChallenge(ceremony.challenge, "passkey_register", user._id);
+    if (!claimed)
+      return res.status(400).json({ status: false, message: "Registration expired, please try again" });
+
+    let verification;
+    try {
+      verification = await verifyPasskeyRegistration(response, ceremony.challenge);
+    } catch (err) {
+      return res.status(400).json({ status: false, message: err.message });
+    }
+
+    if (!verification.verified)
+      return res.status(400).json({ status: false, message: "Passkey verification failed" });
+
+    const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+
+    if (await Passkey.exists({ credential_id: credential.id }))
+      return res.status(409).json({ status: false, message: "Passkey already registered" });
+
+    const passkey = await Passkey.create({
+      user_id: user._id,
+      credential_id: credential.id,
+      public_key: Buffer.from(credential.publicKey),
+      counter: credential.counter,
+      transports: credential.transports ?? response.response?.transports ?? [],
+      device_type: credentialDeviceType,
+      backed_up: credentialBackedUp,
+      name: typeof name === "string" ? name.slice(0, 100) : null,
+    });
+
+    res.status(201).json({
+      status: true,
+      message: "Passkey registered successfully",
+      data: { _id: passkey._id, name: passkey.name, createdAt: passkey.createdAt },
+    });
+  } catch (err) {
+    console.error("Error in passkeyRegisterVerify:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/passkeys:
+ *   get:
+ *     summary: List the logged-in user's passkeys
+ *     tags: [Passkeys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Registered passkeys
+ */
+export const getPasskeys = async (req, res) => {
+  try {
+    const passkeys = await Passkey.find({ user_id: req.user._id })
+      .select("name device_type backed_up transports last_used_at createdAt")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({ status: true, data: passkeys });
+  } catch (err) {
+    console.error("Error in getPasskeys:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/passkeys/{id}:
+ *   delete:
+ *     summary: Remove a passkey
+ *     tags: [Passkeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Passkey removed
+ *       404:
+ *         description: Passkey not found
+ */
+export const deletePasskey = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id))
+      return res.status(404).json({ status: false, message: "Passkey not found" });
+
+    const { deletedCount } = await Passkey.deleteOne({ _id: id, user_id: req.user._id });
+    if (!deletedCount)
+      return res.status(404).json({ status: false, message: "Passkey not found" });
+
+    res.json({ status: true, message: "Passkey removed successfully" });
+  } catch (err) {
+    console.error("Error in deletePasskey:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/login/passkey/options:
+ *   post:
+ *     summary: Start a passkey login
+ *     description: Without an identifier the browser offers any discoverable passkey for this site.
+ *     tags: [Passkeys]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               identifier:
+ *                 type: string
+ *                 description: Optional email or mobile to limit the allowed passkeys
+ *     responses:
+ *       200:
+ *         description: Authentication options
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PasskeyOptionsResponse'
+ */
+export const passkeyLoginOptions = async (req, res) => {
+  try {
+    let allowCredentials;
+    const lookup = parseIdentifier(req.body?.identifier);
+    if (lookup) {
+      const user = await User.findOne(lookup.query).select("_id");
+      const passkeys = user ? await Passkey.find({ user_id: user._id }).select("credential_id transports") : [];
+      allowCredentials = passkeys.map((p) => ({ id: p.credential_id, transports: p.transports }));
+    }
+
+    const options = await generateAuthenticationOptions({
+      rpID: rp().id,
+      allowCredentials,
+      userVerification: "preferred",
+    });
+    await saveChallenge(options.challenge, "passkey_login");
+
+    res.json({
+      status: true,
+      options,
+      passkey_token: generateChallengeToken(null, "passkey_login", CEREMONY_TTL_SECONDS, {
+        challenge: options.challenge,
+      }),
+    });
+  } catch (err) {
+    console.error("Error in passkeyLoginOptions:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/login/passkey/verify:
+ *   post:
+ *     summary: Finish a passkey login and issue tokens
+ *     tags: [Passkeys]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PasskeyVerifyRequest'
+ *     responses:
+ *       200:
+ *         description: Login successful (or 2FA required when the passkey did not verify the user)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoginResponse'
+ *       401:
+ *         description: Passkey not recognised or verification failed
+ *       403:
+ *         description: Account locked
+ */
+export const passkeyLoginVerify = async (req, res) => {
+  try {
+    const { passkey_token, response } = req.body;
+
+    const ceremony = verifyChallengeToken(passkey_token, "passkey_login");
+    const claimed = ceremony && response?.id && await claimChallenge(ceremony.challenge, "passkey_login");
+    if (!claimed)
+      return res.status(400).json({ status: false, message: "Login expired, please try again" });
+
+    const passkey = await Passkey.findOne({ credential_id: response.id });
+    if (!passkey)
+      return res.status(401).json({ status: false, message: "Passkey not recognised" });
+
+    const user = await User.findById(passkey.user_id);
+    if (!user || user.isDeleted())
+      return res.status(401).json({ status: false, message: "Passkey not recognised" });
+
+    if (user.isLocked()) {
+      await recordLogin(req, { user, status: "locked", method: "passkey" });
+      return res.status(403).json({
+        status: false,
+        message: `Account is locked. Try again after ${user.locked_until}`,
+      });
+    }
+
+    let verification;
+    try {
+      verification = await verifyPasskeyAuthentication(response, ceremony.challenge, passkey);
+    } catch (err) {
+      verification = { verified: false };
+    }
+
+    if (!verification.verified) {
+      await recordLogin(req, { user, status: "passkey_failed", method: "passkey" });
+      return res.status(401).json({ status: false, message: "Passkey verification failed" });
+    }
+
+    passkey.counter = verification.authenticationInfo.newCounter;
+    passkey.last_used_at = new Date();
+    await passkey.save();
+
+    // A user-verified passkey is already two factors (device + biometric/PIN);
+    // a bare tap on a security key is only one, so 2FA is still asked then
+    if (user.two_factor_enabled && !verification.authenticationInfo.userVerified) {
+      await recordLogin(req, { user, status: "2fa_pending", method: "passkey" });
+      return res.json(await startTwoFactor(user));
+    }
+
+    await recordLogin(req, { user, status: "success", method: "passkey" });
+    res.json(await buildLoginResponse(user, req));
+  } catch (err) {
+    console.error("Error in passkeyLoginVerify:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
+};
@@ -0,0 +1,679 @@
+import User from "../models/User.js";
+import LoginHistory from "../models/LoginHistory.js";
+import { issueOtp, verifyOtp } from "../utils/otp.js";
+import { isEmail, normalizeMobile, mobileLookupValues, parseIdentifier } from "../utils/identifier.js";
+import { revokeUserSessions } from "../utils/session.js";
+import { sendTemplateEmail } from "../utils/email.js";
+import { sendSmsOtp } from "../utils/sms.js";
+import { deactivateAccount, restoreAccount as reactivateAccount, DELETION_GRACE_DAYS } from "../utils/accountDeletion.js";
+import { validatePassword, isPasswordReused, setPassword, PASSWORD_REUSED } from "../utils/passwordPolicy.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Profile
+ *   description: Read and update the logged-in user's own account
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Profile:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         fullname:
+ *           type: string
+ *           example: John Doe
+ *         email:
+ *           type: string
+ *           example: johndoe@example.com
+ *         mobile:
+ *           type: string
+ *           example: "+919876543210"
+ *         profile_url:
+ *           type: string
+ *         dob:
+ *           type: string
+ *           format: date
+ *         email_verified_at:
+ *           type: string
+ *           format: date-time
+ *         mobile_verified:
+ *           type: boolean
+ *         pending_mobile:
+ *           type: string
+ *           nullable: true
+ *           description: Number given at signup, not verified yet (verify it with /api/me/mobile)
+ *         two_factor_enabled:
+ *           type: boolean
+ *         two_factor_method:
+ *           type: string
+ *           enum: [email, sms, totp]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     IdentifierOtpVerify:
+ *       type: object
+ *       required:
+ *         - otp
+ *       properties:
+ *         otp:
+ *           type: string
+ *           example: "123456"
+ */
+
+// Never expose password hashes, 2FA secrets or lock counters
+const toProfile = (user) => ({
+  _id: user._id,
+  fullname: user.fullname,
+  email: user.email ?? null,
+  mobile: user.mobile ?? null,
+  profile_url: user.profile_url ?? null,
+  dob: user.dob ?? null,
+  email_verified_at: user.email_verified_at ?? null,
+  mobile_verified: user.mobile_verified,
+  pending_mobile: user.pending_mobile ?? null,
+  two_factor_enabled: user.two_factor_enabled,
+  two_factor_method: user.two_factor_method,
+  createdAt: user.createdAt,
+});
+
+/**
+ * @swagger
+ * /api/me:
+ *   get:
+ *     summary: Get the logged-in user's profile
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Profile'
+ */
+export const getProfile = async (req, res) => {
+  res.json({ status: true, data: toProfile(req.user) });
+};
+
+/**
+ * @swagger
+ * /api/me:
+ *   put:
+ *     summary: Update fullname, date of birth or profile picture
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fullname:
+ *                 type: string
+ *                 example: John Doe
+ *               dob:
+ *                 type: string
+ *                 format: date
+ *                 example: 1990-05-15
+ *               profile_url:
+ *                 type: string
+ *                 example: https://example.com/profile.jpg
+ *     responses:
+ *       200:
+ *         description: Profile updated
+ *       422:
+ *         description: Validation error
+ */
+export const updateProfile = async (req, res) => {
+  try {
+    const user = req.user;
+    const { fullname, dob, profile_url } = req.body;
+
+    if (fullname === undefined && dob === undefined && profile_url === undefined)
+      return res.status(422).json({ status: false, message: "Nothing to update" });
+
+    if (fullname !== undefined) {
+      if (typeof fullname !== "string" || !fullname.trim() || fullname.length > 255)
+        return res.status(422).json({ status: false, message: "fullname must be a non-empty string (max 255)" });
+      user.fullname = fullname.trim();
+    }
+
+    if (dob !== undefined) {
+      const date = dob === null ? null : new Date(dob);
+      if (date && (isNaN(date.getTime()) || date > new Date()))
+        return res.status(422).json({ status: false, message: "dob must be a valid past date" });
+      user.dob = date;
+    }
+
+    if (profile_url !== undefined) {
+      if (profile_url !== null && (typeof profile_url !== "string" || profile_url.length > 2048))
+        return res.status(422).json({ status: false, message: "profile_url must be a string" });
+      user.profile_url = profile_url;
+    }
+
+    await user.save();
+
+    res.json({ status: true, message: "Profile updated successfully", data: toProfile(user) });
+  } catch (err) {
+    console.error("Error in updateProfile:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/me/password:
+ *   post:
+ *     summary: Change password (logs out all other sessions)
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - current_password
+ *               - password
+ *               - password_confirmation
+ *             properties:
+ *               current_password:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *               password_confirmation:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       401:
+ *         description: Current password is incorrect
+ *       422:
+ *         description: Validation error or password rejected by the policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PasswordPolicyError'
+ */
+export const changePassword = async (req, res) => {
+  try {
+    const user = req.user;
+    const { current_password, password, password_confirmation } = req.body;
+
+    if (!current_password || !password || !password_confirmation)
+      return res.status(422).json({ status: false, message: "All fields required" });
+
+    if (password !== password_confirmation)
+      return res.status(422).json({ status: false, message: "Passwords do not match" });
+
+    if (!(await user.checkPassword(current_password)))
+      return res.status(401).json({ status: false, message: "Current password is incorrect" });
+
+    const weak = validatePassword(password, user);
+    if (weak) return res.status(422).json({ status: false, ...weak });
+
+    const account = await User.findById(user._id).select("+password_history");
+    if (await isPasswordReused(account, password))
+      return res.status(422).json({ status: false, ...PASSWORD_REUSED });
+
+    await setPassword(account, password);
+    await account.save();
+
+    const revoked = await revokeUserSessions(user._id, req.session._id, "password_changed");
+
+    res.json({ status: true, message: "Password changed successfully", revoked_sessions: revoked });
+  } catch (err) {
+    console.error("Error in changePassword:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/me/email:
+ *   post:
+ *     summary: Request a code to change (or verify) the account email
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: new@example.com
+ *     responses:
+ *       200:
+ *         description: OTP sent to the new email
+ *       409:
+ *         description: Email already used by another account
+ *       422:
+ *         description: Validation error
+ *       429:
+ *         description: Resend cooldown active (see retry_after)
+ */
+export const requestEmailChange = async (req, res) => {
+  try {
+    const email = typeof req.body.email === "string" ? req.body.email.trim() : "";
+    if (!isEmail(email))
+      return res.status(422).json({ status: false, message: "Invalid email address" });
+
+    if (await User.exists({ _id: { $ne: req.user._id }, email }))
+      return res.status(409).json({ status: false, message: "Email already used by another account" });
+
+    const { otp, error, retry_after } = await issueOtp({
+      identifier: email,
+      method: "email",
+      purpose: "change_email",
+      extra_data: { user_id: req.user._id.toString() },
+    });
+    if (error) return res.status(429).json({ status: false, message: error, retry_after });
+
+    await sendTemplateEmail(email, "email_change_otp", { otp });
+
+    res.json({ status: true, message: "OTP sent successfully" });
+  } catch (err) {
+    console.error("Error in requestEmailChange:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/me/email/verify:
+ *   post:
+ *     summary: Confirm the new email with the code
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/IdentifierOtpVerify'
+ *               - type: object
+ *                 required:
+ *                   - email
+ *                 properties:
+ *                   email:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Email updated and verified
+ *       400:
+ *         description: Invalid or expired OTP
+ *       409:
+ *         description: Email already used by another account
+ */
+export const verifyEmailChange = async (req, res) => {
+  try {
+    const user = req.user;
+    const email = typeof req.body.email === "string" ? req.body.email.trim() : "";
+    const { otp } = req.body;
+
+    // Another user's pending code for the same address is never looked at
+    const { error, status } = await verifyOtp({
+      identifier: email,
+      otp,
+      purpose: "change_email",
+      extra: { user_id: user._id.toString() },
+    });
+    if (error) return res.status(status).json({ status: false, message: error });
+
+    if (await User.exists({ _id: { $ne: user._id }, email }))
+      return res.status(409).json({ status: false, message: "Email already used by another account" });
+
+    const previousEmail = user.email;
+    user.email = email;
+    user.email_verified_at = new Date();
+    await user.save();
+
+    if (previousEmail && previousEmail !== email) {
+      sendTemplateEmail(previousEmail, "notification", {
+        title: "Your email was changed",
+        message: `The email on your account was changed to ${email}. If this wasn't you, contact support immediately.`,
+      }).catch((err) => console.error("❌ Email change notification failed:", err));
+    }
+
+    res.json({ status: true, message: "Email updated successfully", data: toProfile(user) });
+  } catch (err) {
+    console.error("Error in verifyEmailChange:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/me/mobile:
+ *   post:
+ *     summary: Request a code to change (or verify) the account mobile number
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mobile
+ *             properties:
+ *               mobile:
+ *                 type: string
+ *                 example: "9876543210"
+ *     responses:
+ *       200:
+ *         description: OTP sent to the new mobile
+ *       409:
+ *         description: Mobile already used by another account
+ *       422:
+ *         description: Validation error
+ *       429:
+ *         description: Resend cooldown active (see retry_after)
+ */
+export const requestMobileChange = async (req, res) => {
+  try {
+    const mobile = normalizeMobile(req.body.mobile);
+    if (!mobile)
+      return res.status(422).json({ status: false, message: "Invalid mobile number" });
+
+    // An unverified holder doesn't block the change (the number is taken over on verify)
+    if (await User.exists({ _id: { $ne: req.user._id }, mobile: { $in: mobileLookupValues(mobile) }, mobile_verified: true }))
+      return res.status(409).json({ status: false, message: "Mobile already used by another account" });
+
+    const { otp, error, retry_after } = await issueOtp({
+      identifier: mobile,
+      method: "mobile",
+      purpose: "change_mobile",
+      extra_data: { user_id: req.user._id.toString() },
+    });
+    if (error) return res.status(429).json({ status: false, message: error, retry_after });
+
+    await sendSmsOtp(mobile, otp);
+
+    res.json({ status: true, message: "OTP sent successfully" });
+  } catch (err) {
+    console.error("Error in requestMobileChange:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/me/mobile/verify:
+ *   post:
+ *     summary: Confirm the new mobile number with the code
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/IdentifierOtpVerify'
+ *               - type: object
+ *                 required:
+ *                   - mobile
+ *                 properties:
+ *                   mobile:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Mobile updated and verified
+ *       400:
+ *         description: Invalid or expired OTP
+ *       409:
+ *         description: Mobile already used by another account
+ */
+export const verifyMobileChange = async (req, res) => {
+  try {
+    const user = req.user;
+    const mobile = normalizeMobile(req.body.mobile);
+    const { otp } = req.body;
+    if (!mobile)
+      return res.status(422).json({ status: false, message: "Invalid mobile number" });
+
+    const { error, status } = await verifyOtp({
+      identifier: mobile,
+      otp,
+      purpose: "change_mobile",
+      extra: { user_id: user._id.toString() },
+    });
+    if (error) return res.status(status).json({ status: false, message: error });
+
+    await User.releaseUnverifiedMobile(mobile, user._id);
+    if (await User.exists({ _id: { $ne: user._id }, mobile: { $in: mobileLookupValues(mobile) } }))
+      return res.status(409).json({ status: false, message: "Mobile already used by another account" });
+
+    user.mobile = mobile;
+    user.mobile_verified = true;
+    user.pending_mobile = null;
+    await user.save();
+
+    res.json({ status: true, message: "Mobile updated successfully", data: toProfile(user) });
+  } catch (err) {
+    console.error("Error in verifyMobileChange:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/me:
+ *   delete:
+ *     summary: Delete the account (personal data is purged after a grace period)
+ *     description: |
+ *       Logs out every session and blocks login immediately. The user's household is closed to its
+ *       members and its events are archived. Until purge_after the account can be restored with
+ *       /api/account/restore; after that owned events move to a co-owner if there is one, and
+ *       family access granted to or by the user is removed.
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                 purge_after:
+ *                   type: string
+ *                   format: date-time
+ *       401:
+ *         description: Incorrect password
+ */
+export const deleteAccount = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (!req.body?.password || !(await user.checkPassword(req.body.password)))
+      return res.status(401).json({ status: false, message: "Incorrect password" });
+
+    const { purge_after } = await deactivateAccount(user);
+
+    res.json({
+      status: true,
+      message: `Account deleted. You can restore it within ${DELETION_GRACE_DAYS} days; after that your data is permanently removed.`,
+      purge_after,
+    });
+  } catch (err) {
+    console.error("Error in deleteAccount:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/account/restore:
+ *   post:
+ *     summary: Undo an account deletion during the grace period
+ *     description: |
+ *       Re-opens the household and brings back the events and share links archived by the deletion.
+ *       Invitations, join codes and ownership transfers cancelled at deletion stay cancelled.
+ *       Login again afterwards.
+ *     tags: [Profile]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoginRequest'
+ *     responses:
+ *       200:
+ *         description: Account restored
+ *       401:
+ *         description: Invalid credentials
+ *       403:
+ *         description: Account locked
+ *       410:
+ *         description: The grace period is over
+ */
+export const restoreAccount = async (req, res) => {
+  try {
+    const { identifier, email, password } = req.body;
+
+    const lookup = parseIdentifier(identifier ?? email);
+    const user = lookup && await User.findOne(lookup.query);
+    if (!user?.isDeleted())
+      return res.status(401).json({ status: false, message: "Invalid credentials" });
+
+    if (user.isLocked())
+      return res.status(403).json({
+        status: false,
+        message: `Account is locked. Try again after ${user.locked_until}`,
+      });
+
+    if (!(await user.checkPassword(password ?? ""))) {
+      await user.registerFailedLogin();
+      return res.status(401).json({ status: false, message: "Invalid credentials" });
+    }
+
+    if (user.purge_after <= new Date())
+      return res.status(410).json({ status: false, message: "This account can no longer be restored" });
+
+    const { events } = await reactivateAccount(user);
+
+    res.json({ status: true, message: "Account restored. Please login again.", events });
+  } catch (err) {
+    console.error("Error in restoreAccount:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/me/login-history:
+ *   get:
+ *     summary: Recent login attempts on the account
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Login attempts, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                 total:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       status:
+ *                         type: string
+ *                         enum: [success, bad_password, locked, 2fa_pending, 2fa_failed, passkey_failed, deleted]
+ *                       method:
+ *                         type: string
+ *                       ip:
+ *                         type: string
+ *                       user_agent:
+ *                         type: string
+ *                       device_name:
+ *                         type: string
+ *                       new_device:
+ *                         type: boolean
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ */
+export const getLoginHistory = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const filter = { user_id: req.user._id };
+
+    const [total, history] = await Promise.all([
+      LoginHistory.countDocuments(filter),
+      LoginHistory.find(filter)
+        .select("status method ip user_agent device_name new_device createdAt")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+    ]);
+
+    res.json({ status: true, total, page, limit, data: history });
+  } catch (err) {
+    console.error("Error in getLoginHistory:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
+};
@@ -0,0 +1,308 @@
+import crypto from "crypto";
+import User from "../models/User.js";
+import RecoverySession from "../models/RecoverySession.js";
+import { issueOtp, verifyOtp } from "../utils/otp.js";
+import { generateChallengeToken, verifyChallengeToken } from "../utils/jwt.js";
+import { parseIdentifier, isEmail, normalizeMobile, mobileLookupValues } from "../utils/identifier.js";
+import { revokeUserSessions } from "../utils/session.js";
+import { sendTemplateEmail } from "../utils/email.js";
+import { sendSms, sendSmsOtp } from "../utils/sms.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Recovery
+ *   description: Regain access when the email address or 2FA device is lost
+ */
+
+const RECOVERY_TOKEN_TTL_SECONDS = 15 * 60;
+
+// Only a channel the user has verified may be used to recover the account
+const isVerifiedChannel = (user, type) =>
+  type === "email" ? !!user.email_verified_at : !!user.mobile_verified;
+
+const mask = (value) => {
+  if (!value) return null;
+  if (isEmail(value)) {
+    const [name, domain] = value.split("@");
+    return `${name.slice(0, 2)}***@${domain}`;
+  }
+  return `${value.slice(0, 3)}******${value.slice(-2)}`;
+};
+
+// Tell the user about the change on every channel they had before it
+const notifyRecovery = async ({ email, mobile }, changes) => {
+  const message = `Your account was recovered and the following was changed: ${changes.join(", ")}. If this wasn't you, contact support immediately.`;
+
+  const results = await Promise.allSettled([
+    email && sendTemplateEmail(email, "notification", { title: "Your account was recovered", message }),
+    mobile && sendSms(mobile, message),
+  ]);
+  results
+    .filter((r) => r.status === "rejected")
+    .forEach((r) => console.error("❌ Recovery notification failed:", r.reason));
+};
+
+/**
+ * @swagger
+ * /api/recovery/request:
+ *   post:
+ *     summary: Send a recovery code to the alternate (verified) email or mobile
+ *     tags: [Recovery]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - identifier
+ *             properties:
+ *               identifier:
+ *                 type: string
+ *                 description: Email or mobile number you still have access to
+ *                 example: "9876543210"
+ *     responses:
+ *       200:
+ *         description: OTP sent successfully
+ *       404:
+ *         description: No account with this verified email or mobile
+ *       422:
+ *         description: Validation error
+ *       429:
+ *         description: Resend cooldown active (see retry_after)
+ */
+export const recoveryRequest = async (req, res) => {
+  try {
+    const lookup = parseIdentifier(req.body.identifier);
+    if (!lookup)
+      return res.status(422).json({ status: false, message: "Valid email or mobile required" });
+
+    const user = await User.findOne(lookup.query);
+    if (!user || user.isDeleted() || !isVerifiedChannel(user, lookup.type))
+      return res.status(404).json({ status: false, message: "No account with this verified email or mobile" });
+
+    const method = lookup.type === "email" ? "email" : "mobile";
+    const { otp, error, retry_after } = await issueOtp({
+      identifier: lookup.value,
+      method,
+      purpose: "recovery",
+      extra_data: { user_id: user._id.toString() },
+    });
+    if (error) return res.status(429).json({ status: false, message: error, retry_after });
+
+    if (method === "email") {
+      await sendTemplateEmail(lookup.value, "recovery_otp", { otp });
+    } else {
+      await sendSmsOtp(lookup.value, otp);
+    }
+
+    res.json({ status: true, message: "OTP sent successfully" });
+  } catch (err) {
+    console.error("Error in recoveryRequest:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/recovery/verify:
+ *   post:
+ *     summary: Verify the recovery code and get a short-lived recovery token
+ *     tags: [Recovery]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - identifier
+ *               - otp
+ *             properties:
+ *               identifier:
+ *                 type: string
+ *               otp:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Code verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                 recovery_token:
+ *                   type: string
+ *                 expires_in:
+ *                   type: integer
+ *                   example: 900
+ *                 account:
+ *                   type: object
+ *                   properties:
+ *                     email:
+ *                       type: string
+ *                       example: jo***@example.com
+ *                     mobile:
+ *                       type: string
+ *                       example: +91******10
+ *                     two_factor_enabled:
+ *                       type: boolean
+ *       400:
+ *         description: Invalid or expired OTP
+ *       429:
+ *         description: Too many incorrect attempts
+ */
+export const recoveryVerify = async (req, res) => {
+  try {
+    const { otp } = req.body;
+    const lookup = parseIdentifier(req.body.identifier);
+    if (!lookup || !otp)
+      return res.status(422).json({ status: false, message: "Identifier & OTP required" });
+
+    const { record, error, status } = await verifyOtp({ identifier: lookup.value, otp, purpose: "recovery" });
+    if (error) return res.status(status).json({ status: false, message: error });
+
+    const user = await User.findById(record.extra_data?.user_id);
+    if (!user || user.isDeleted()) return res.status(404).json({ status: false, message: "User not found" });
+
+    // 🔑 The token only works while its session row exists (single use)
+    const jti = crypto.randomBytes(16).toString("hex");
+    await RecoverySession.create({
+      jti,
+      user_id: user._id,
+      expires_at: new Date(Date.now() + RECOVERY_TOKEN_TTL_SECONDS * 1000),
+    });
+
+    res.json({
+      status: true,
+      recovery_token: generateChallengeToken(user, "recovery", RECOVERY_TOKEN_TTL_SECONDS, { jti }),
+      expires_in: RECOVERY_TOKEN_TTL_SECONDS,
+      account: {
+        email: mask(user.email),
+        mobile: mask(user.mobile),
+        two_factor_enabled: user.two_factor_enabled,
+      },
+    });
+  } catch (err) {
+    console.error("Error in recoveryVerify:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/recovery/complete:
+ *   post:
+ *     summary: Reset 2FA and/or replace the lost email or mobile
+ *     description: Requires the recovery token and the account password. The token works once. All sessions are logged out and the previous email/mobile is notified.
+ *     tags: [Recovery]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - recovery_token
+ *               - password
+ *             properties:
+ *               recovery_token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *               reset_2fa:
+ *                 type: boolean
+ *                 example: true
+ *               new_email:
+ *                 type: string
+ *                 example: new@example.com
+ *               new_mobile:
+ *                 type: string
+ *                 example: "9876500000"
+ *     responses:
+ *       200:
+ *         description: Account recovered
+ *       401:
+ *         description: Invalid recovery token or password
+ *       409:
+ *         description: Email or mobile already used by another account
+ *       422:
+ *         description: Validation error
+ */
+export const recoveryComplete = async (req, res) => {
+  try {
+    const { recovery_token, password, reset_2fa, new_email, new_mobile } = req.body;
+
+    const challenge = verifyChallengeToken(recovery_token, "recovery");
+    const session = challenge?.jti && await RecoverySession.exists({ jti: challenge.jti, user_id: challenge.id });
+    if (!session)
+      return res.status(401).json({ status: false, message: "Recovery session expired, please start again" });
+
+    if (!reset_2fa && !new_email && !new_mobile)
+      return res.status(422).json({ status: false, message: "Nothing to recover" });
+
+    if (new_email && !isEmail(new_email))
+      return res.status(422).json({ status: false, message: "Invalid email address" });
+
+    const mobile = new_mobile ? normalizeMobile(new_mobile) : null;
+    if (new_mobile && !mobile)
+      return res.status(422).json({ status: false, message: "Invalid mobile number" });
+
+    const user = await User.findById(challenge.id);
+    if (!user || user.isDeleted() || !(await user.checkPassword(password ?? "")))
+      return res.status(401).json({ status: false, message: "Invalid credentials" });
+
+    const taken = await User.exists({
+      _id: { $ne: user._id },
+      $or: [
+        ...(new_email ? [{ email: new_email.trim() }] : []),
+        ...(mobile ? [{ mobile: { $in: mobileLookupValues(mobile) } }] : []),
+      ],
+    });
+    if ((new_email || mobile) && taken)
+      return res.status(409).json({ status: false, message: "Email or mobile already used by another account" });
+
+    // Consume the session; a parallel request with the same token gets nothing
+    if (!(await RecoverySession.findOneAndDelete({ jti: challenge.jti, user_id: user._id })))
+      return res.status(401).json({ status: false, message: "Recovery session expired, please start again" });
+
+    const previous = { email: user.email, mobile: user.mobile };
+    const changes = [];
+
+    if (reset_2fa) {
+      user.two_factor_enabled = false;
+      user.two_factor_method = "email";
+      user.totp_secret = null;
+      user.totp_pending_secret = null;
+      user.backup_codes = [];
+      changes.push("two-factor authentication was turned off");
+    }
+
+    // New identifiers must be verified again before they can be used for recovery
+    if (new_email) {
+      user.email = new_email.trim();
+      user.email_verified_at = null;
+      changes.push(`email changed to ${mask(user.email)}`);
+    }
+    if (mobile) {
+      user.mobile = mobile;
+      user.mobile_verified = false;
+      changes.push(`mobile changed to ${mask(mobile)}`);
+    }
+
+    user.failed_login_attempts = 0;
+    user.locked_until = null;
+    await user.save();
+
+    await revokeUserSessions(user._id, null, "account_recovery");
+    await notifyRecovery(previous, changes);
+
+    res.json({ status: true, message: "Account recovered. Please login again.", changes });
+  } catch (err) {
+    console.error("Error in recoveryComplete:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
+};
@@ -0,0 +1,160 @@
+import mongoose from "mongoose";
+import UserToken from "../models/UserToken.js";
+import { revokeUserSessions } from "../utils/session.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Sessions
+ *   description: Devices the user is currently logged in on
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Session:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 67167a3a9b0c2b1a5d6e92c8
+ *         device_name:
+ *           type: string
+ *           nullable: true
+ *           example: Mom's phone
+ *         user_agent:
+ *           type: string
+ *           example: Mozilla/5.0 (Linux; Android 14)
+ *         ip:
+ *           type: string
+ *           example: 103.21.244.10
+ *         last_seen_at:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         current:
+ *           type: boolean
+ *           example: true
+ */
+
+/**
+ * @swagger
+ * /api/sessions:
+ *   get:
+ *     summary: List active sessions of the logged-in user
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ */
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await UserToken.find({
+      user_id: req.user._id,
+      revoked_at: null,
+      expires_at: { $gt: new Date() },
+    })
+      .select("device_name user_agent ip last_seen_at createdAt")
+      .sort({ last_seen_at: -1 })
+      .lean();
+
+    res.json({
+      status: true,
+      data: sessions.map((s) => ({
+        ...s,
+        current: s._id.toString() === req.session._id.toString(),
+      })),
+    });
+  } catch (err) {
+    console.error("Error in getSessions:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/sessions/{id}:
+ *   delete:
+ *     summary: Log out a specific session (device)
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Session ID
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+export const revokeSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id))
+      return res.status(404).json({ status: false, message: "Session not found" });
+
+    const session = await UserToken.findOne({ _id: id, user_id: req.user._id, revoked_at: null });
+    if (!session)
+      return res.status(404).json({ status: false, message: "Session not found" });
+
+    await session.revoke("revoked_by_user");
+
+    res.json({ status: true, message: "Session logged out successfully" });
+  } catch (err) {
+    console.error("Error in revokeSession:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/sessions/logout-others:
+ *   post:
+ *     summary: Log out all devices except the current one
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                 revoked:
+ *                   type: integer
+ *                   example: 2
+ */
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user._id, req.session._id, "revoked_by_user");
+    res.json({ status: true, message: "Logged out from all other devices", revoked });
+  } catch (err) {
+    console.error("Error in revokeOtherSessions:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
+};
@@ -0,0 +1,341 @@
+import User from "../models/User.js";
+import { generateTotpSecret, buildOtpauthUri, findTotpStep } from "../utils/totp.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Two-Factor
+ *   description: Enable, disable and manage two-factor authentication
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PasswordConfirmRequest:
+ *       type: object
+ *       required:
+ *         - password
+ *       properties:
+ *         password:
+ *           type: string
+ *           example: MyStrongPass123
+ *     BackupCodesResponse:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: boolean
+ *           example: true
+ *         backup_codes:
+ *           type: array
+ *           description: One-time codes, shown only once
+ *           items:
+ *             type: string
+ *             example: 3fa9c-0b17e
+ */
+
+// Sensitive actions on 2FA require the current password
+const confirmPassword = async (user, password) => {
+  if (!password) return false;
+  const fullUser = await User.findById(user._id);
+  return fullUser.checkPassword(password);
+};
+
+// Email / SMS codes replace any authenticator-app enrolment, backup codes included
+const enableOtp2FA = (user, method) =>
+  User.updateOne(
+    { _id: user._id },
+    { two_factor_enabled: true, two_factor_method: method, totp_secret: null, totp_pending_secret: null, backup_codes: [] }
+  );
+
+/**
+ * @swagger
+ * /api/2fa/totp/setup:
+ *   post:
+ *     summary: Start authenticator-app enrolment (returns secret and otpauth URI)
+ *     tags: [Two-Factor]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PasswordConfirmRequest'
+ *     responses:
+ *       200:
+ *         description: Secret generated; confirm it with /api/2fa/totp/confirm
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                 secret:
+ *                   type: string
+ *                   example: JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP
+ *                 otpauth_uri:
+ *                   type: string
+ *                   example: otpauth://totp/Marriage%20Planner%3Ajohn%40example.com?secret=...
+ *       401:
+ *         description: Incorrect password
+ */
+export const setupTotp = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (!(await confirmPassword(user, req.body.password)))
+      return res.status(401).json({ status: false, message: "Incorrect password" });
+
+    const secret = generateTotpSecret();
+
+    await User.updateOne({ _id: user._id }, { totp_pending_secret: secret });
+
+    res.json({
+      status: true,
+      secret,
+      otpauth_uri: buildOtpauthUri(secret, user.email || user.mobile),
+    });
+  } catch (err) {
+    console.error("Error in setupTotp:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/2fa/totp/confirm:
+ *   post:
+ *     summary: Confirm authenticator-app enrolment with a code and enable 2FA
+ *     tags: [Two-Factor]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - password
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               password:
+ *                 type: string
+ *                 example: MyStrongPass123
+ *     responses:
+ *       200:
+ *         description: 2FA enabled; backup codes returned once
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BackupCodesResponse'
+ *       400:
+ *         description: Invalid code or no enrolment in progress
+ *       401:
+ *         description: Incorrect password
+ */
+export const confirmTotp = async (req, res) => {
+  try {
+    const { code, password } = req.body;
+
+    if (!(await confirmPassword(req.user, password)))
+      return res.status(401).json({ status: false, message: "Incorrect password" });
+
+    const user = await User.findById(req.user._id).select("+totp_pending_secret +backup_codes");
+
+    if (!user.totp_pending_secret)
+      return res.status(400).json({ status: false, message: "No authenticator setup in progress" });
+
+    const step = findTotpStep(user.totp_pending_secret, code);
+    if (step === null)
+      return res.status(400).json({ status: false, message: "Invalid code" });
+
+    user.totp_secret = user.totp_pending_secret;
+    user.totp_last_step = step; // the enrolment code can't be replayed at login
+    user.totp_pending_secret = null;
+    user.two_factor_enabled = true;
+    user.two_factor_method = "totp";
+    const backup_codes = user.generateBackupCodes();
+    await user.save();
+
+    res.json({ status: true, message: "Two-factor authentication enabled", backup_codes });
+  } catch (err) {
+    console.error("Error in confirmTotp:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/2fa/email/enable:
+ *   post:
+ *     summary: Enable 2FA with a one-time code emailed at login
+ *     tags: [Two-Factor]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PasswordConfirmRequest'
+ *     responses:
+ *       200:
+ *         description: 2FA enabled
+ *       401:
+ *         description: Incorrect password
+ *       422:
+ *         description: No email on the account
+ */
+export const enableEmail2FA = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (!user.email)
+      return res.status(422).json({ status: false, message: "Add an email address first" });
+
+    if (!(await confirmPassword(user, req.body.password)))
+      return res.status(401).json({ status: false, message: "Incorrect password" });
+
+    await enableOtp2FA(user, "email");
+
+    res.json({ status: true, message: "Two-factor authentication enabled" });
+  } catch (err) {
+    console.error("Error in enableEmail2FA:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/2fa/sms/enable:
+ *   post:
+ *     summary: Enable 2FA with a one-time code sent by SMS at login
+ *     tags: [Two-Factor]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PasswordConfirmRequest'
+ *     responses:
+ *       200:
+ *         description: 2FA enabled
+ *       401:
+ *         description: Incorrect password
+ *       422:
+ *         description: No verified mobile number on the account
+ */
+export const enableSms2FA = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (!user.mobile || !user.mobile_verified)
+      return res.status(422).json({ status: false, message: "Add and verify a mobile number first" });
+
+    if (!(await confirmPassword(user, req.body.password)))
+      return res.status(401).json({ status: false, message: "Incorrect password" });
+
+    await enableOtp2FA(user, "sms");
+
+    res.json({ status: true, message: "Two-factor authentication enabled" });
+  } catch (err) {
+    console.error("Error in enableSms2FA:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     tags: [Two-Factor]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PasswordConfirmRequest'
+ *     responses:
+ *       200:
+ *         description: 2FA disabled
+ *       401:
+ *         description: Incorrect password
+ */
+export const disable2FA = async (req, res) => {
+  try {
+    if (!(await confirmPassword(req.user, req.body.password)))
+      return res.status(401).json({ status: false, message: "Incorrect password" });
+
+    await User.updateOne(
+      { _id: req.user._id },
+      {
+        two_factor_enabled: false,
+        two_factor_method: "email",
+        totp_secret: null,
+        totp_pending_secret: null,
+        backup_codes: [],
+      }
+    );
+
+    res.json({ status: true, message: "Two-factor authentication disabled" });
+  } catch (err) {
+    console.error("Error in disable2FA:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/2fa/backup-codes:
+ *   post:
+ *     summary: Regenerate backup codes (invalidates the old set)
+ *     tags: [Two-Factor]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PasswordConfirmRequest'
+ *     responses:
+ *       200:
+ *         description: New backup codes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BackupCodesResponse'
+ *       401:
+ *         description: Incorrect password
+ *       422:
+ *         description: Authenticator-app 2FA is not enabled
+ */
+export const regenerateBackupCodes = async (req, res) => {
+  try {
+    if (!(await confirmPassword(req.user, req.body.password)))
+      return res.status(401).json({ status: false, message: "Incorrect password" });
+
+    const user = await User.findById(req.user._id).select("+backup_codes");
+    if (!user.two_factor_enabled || user.two_factor_method !== "totp")
+      return res.status(422).json({ status: false, message: "Authenticator-app 2FA is not enabled" });
+
+    const backup_codes = user.generateBackupCodes();
+    await user.save();
+
+    res.json({ status: true, backup_codes });
+  } catch (err) {
+    console.error("Error in regenerateBackupCodes:", err);
+    res.status(500).json({ status: false, message: "Server error" });
+  }
+};
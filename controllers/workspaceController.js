@@ -0,0 +1,122 @@
+import User from "../models/User.js";
+import { listWorkspaces, resolveWorkspace } from "../utils/workspace.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Workspaces
+ *   description: Households the user belongs to. Send X-Workspace-Id (owner id) to pick one per request.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Workspace:
+ *       type: object
+ *       properties:
+ *         owner_id:
+ *           type: string
+ *           description: Use as the X-Workspace-Id header
+ *           example: 67167a3a9b0c2b1a5d6e92c9
+ *         owner:
+ *           type: object
+ *           properties:
+ *             fullname:
+ *               type: string
+ *             email:
+ *               type: string
+ *         permission:
+ *           type: string
+ *           enum: [owner, write, accountant, read, custom]
+ *         capabilities:
+ *           $ref: '#/components/schemas/Capabilities'
+ *         own:
+ *           type: boolean
+ *           description: The user's own household
+ *         active:
+ *           type: boolean
+ *           description: Used when a request doesn't name a workspace
+ */
+
+const toWorkspace = ({ owner_id, owner, permission, capabilities, own }, activeId) => ({
+  owner_id,
+  owner: { _id: owner._id, fullname: owner.fullname, email: owner.email, profile_url: owner.profile_url },
+  permission,
+  capabilities,
+  own,
+  active: owner_id.toString() === activeId.toString(),
+});
+
+/**
+ * @swagger
+ * /api/workspaces:
+ *   get:
+ *     summary: List the households I belong to
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Own household first, then shared ones
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Workspace'
+ */
+export const getWorkspaces = async (req, res) => {
+  try {
+    const user = req.user;
+    const [workspaces, active] = await Promise.all([listWorkspaces(user), resolveWorkspace(user)]);
+
+    res.json(workspaces.map((w) => toWorkspace(w, active.owner_id)));
+  } catch (err) {
+    console.error("Error in getWorkspaces:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/workspaces/active:
+ *   put:
+ *     summary: Save the default workspace (used when X-Workspace-Id is not sent)
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - workspace_id
+ *             properties:
+ *               workspace_id:
+ *                 type: string
+ *                 description: Owner id of the household
+ *     responses:
+ *       200:
+ *         description: Active workspace saved
+ *       403:
+ *         description: Not a member of this workspace
+ */
+export const setActiveWorkspace = async (req, res) => {
+  try {
+    const user = req.user;
+    const { workspace_id } = req.body;
+
+    const workspace = workspace_id && await resolveWorkspace(user, workspace_id);
+    if (!workspace) return res.status(403).json({ error: "You are not a member of this workspace" });
+
+    await User.updateOne({ _id: user._id }, { active_workspace_id: workspace.owner_id });
+
+    res.json({ message: "Active workspace updated", workspace });
+  } catch (err) {
+    console.error("Error in setActiveWorkspace:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
@@ -4,24 +4,71 @@ import dotenv from "dotenv";
 import cors from "cors"; // ✅ import cors
 import { swaggerDocs } from "./swagger.js";
 import * as AuthController from "./controllers/authController.js";
+import * as RecoveryController from "./controllers/recoveryController.js";
+import * as PasskeyController from "./controllers/passkeyController.js";
+import * as EventLinkController from "./controllers/eventLinkController.js";
 import eventRoutes from "./routes/eventRoutes.js";
+import accountRoutes from "./routes/accountRoutes.js";
+import devRoutes from "./routes/devRoutes.js";
+import { authMiddleware } from "./middleware/authMiddleware.js";
+import { isDevOutboxEnabled, assertMailDriver } from "./utils/email.js";
+import { assertSmsDriver } from "./utils/sms.js";
+import { purgeDeletedAccounts } from "./utils/accountDeletion.js";
+import { expireFamilyInvitations } from "./utils/familyInvitations.js";
+import { expireOwnershipTransfers, supportsTransactions } from "./utils/ownershipTransfer.js";
+import { notifyExpiringGrants, removeExpiredGrants } from "./utils/familyAccess.js";
 
 dotenv.config();
 
+// 📮 Fail fast instead of falling back to the local outbox drivers in production
+assertMailDriver();
+assertSmsDriver();
+
 const app = express();
+
+// 🌐 Behind a reverse proxy set TRUST_PROXY (hop count, "loopback" or the proxy's
+// addresses) so req.ip is the client's address; otherwise X-Forwarded-For is ignored
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) app.set("trust proxy", /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
 app.use(express.json());
 
 // ✅ Enable CORS for all origins
 app.use(cors({
   origin: "*", // or specify your frontend URL e.g. "http://localhost:3000"
   methods: ["GET", "POST", "PUT", "DELETE"],
-  allowedHeaders: ["Content-Type", "Authorization"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-Device-Name", "X-Workspace-Id"],
 }));
 
 mongoose.connect(process.env.MONGO_URI, { dbName: "auth_demo" })
-  .then(() => console.log("✅ MongoDB connected"))
+  .then(async () => {
+    console.log("✅ MongoDB connected");
+    // Household ownership transfers need transactions (replica set or sharded cluster)
+    if (!(await supportsTransactions()))
+      console.warn("⚠️ MongoDB does not support transactions: ownership transfers will be refused");
+  })
   .catch(console.error);
 
+// 🧹 Background cleanup (hourly)
+const runCleanup = async () => {
+  try {
+    const purged = await purgeDeletedAccounts();
+    if (purged) console.log(`🧹 Purged ${purged} deleted account(s)`);
+
+    const expired = await expireFamilyInvitations();
+    if (expired) console.log(`🧹 Expired ${expired} family invitation(s)`);
+
+    const stale = await expireOwnershipTransfers();
+    if (stale) console.log(`🧹 Expired ${stale} ownership transfer(s)`);
+
+    await notifyExpiringGrants();
+    const ended = await removeExpiredGrants();
+    if (ended) console.log(`🧹 Removed ${ended} expired family grant(s)`);
+  } catch (err) {
+    console.error("❌ Cleanup error:", err);
+  }
+};
+setInterval(runCleanup, 60 * 60 * 1000);
+
 // ✅ Swagger route
 app.use("/api-docs", ...swaggerDocs);
 
@@ -29,11 +76,25 @@ app.use("/api-docs", ...swaggerDocs);
 app.post("/api/signup", AuthController.signup);
 app.post("/api/login", AuthController.login);
 app.post("/api/verify-2fa", AuthController.verify2FA);
+app.post("/api/login/magic-link", AuthController.requestMagicLink);
+app.get("/api/login/magic-link/verify", AuthController.verifyMagicLink);
+app.post("/api/login/passkey/options", PasskeyController.passkeyLoginOptions);
+app.post("/api/login/passkey/verify", PasskeyController.passkeyLoginVerify);
 app.post("/api/signup/request", AuthController.signupRequest);
 app.post("/api/signup/verify-otp", AuthController.signupVerifyOtp);
 app.post("/api/forget-password/reset", AuthController.forgetPasswordReset);
 app.post("/api/forget-password/request-otp", AuthController.forgetPasswordRequestOtp);
+app.post("/api/token/refresh", AuthController.refreshToken);
+app.post("/api/logout", authMiddleware, AuthController.logout);
+app.post("/api/recovery/request", RecoveryController.recoveryRequest);
+app.post("/api/recovery/verify", RecoveryController.recoveryVerify);
+app.post("/api/recovery/complete", RecoveryController.recoveryComplete);
+app.get("/api/public/events/:token", EventLinkController.viewEventLink);
 app.use("/api", eventRoutes);
+app.use("/api", accountRoutes);
+
+// 🛠️ Dev helpers (mail outbox): opt-in with ENABLE_DEV_OUTBOX=true, file mail driver only, never in production
+if (isDevOutboxEnabled()) app.use("/api", devRoutes);
 
 
 
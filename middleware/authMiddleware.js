@@ -1,5 +1,7 @@
-import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import UserToken from "../models/UserToken.js";
+import { verifyToken } from "../utils/jwt.js";
+import { touchSession } from "../utils/session.js";
 
 export const authMiddleware = async (req, res, next) => {
   try {
@@ -9,12 +11,21 @@ export const authMiddleware = async (req, res, next) => {
     }
 
     const token = authHeader.split(" ")[1];
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyToken(token);
+
+    // ✅ Token must belong to a live session (not logged out / revoked)
+    const session = decoded.sid && await UserToken.findOne({ _id: decoded.sid, user_id: decoded.id });
+    if (!session || !session.isActive()) {
+      return res.status(401).json({ error: "Unauthorized: Session revoked" });
+    }
 
     const user = await User.findById(decoded.id);
-    if (!user) return res.status(401).json({ error: "Unauthorized: User not found" });
+    if (!user || user.isDeleted()) return res.status(401).json({ error: "Unauthorized: User not found" });
+
+    await touchSession(session, req);
 
     req.user = user; // ✅ populate req.user
+    req.session = session;
     next();
   } catch (err) {
     console.error(err);
@@ -0,0 +1,33 @@
+import { resolveWorkspace } from "../utils/workspace.js";
+
+/**
+ * Runs after authMiddleware. The household is picked per request with the
+ * X-Workspace-Id header (or ?workspace_id=); without it the user's saved
+ * active workspace is used, or their own household with `defaultToOwn`.
+ * Sets req.workspace = { owner_id, permission, capabilities, own }.
+ * @param {Object} [options]
+ * @param {Boolean} [options.defaultToOwn]
+ * @param {String} [options.capability] - capability needed to continue
+ */
+export const useWorkspace = ({ defaultToOwn = false, capability } = {}) => async (req, res, next) => {
+  try {
+    const requested = req.headers["x-workspace-id"] || req.query.workspace_id || null;
+
+    const workspace = await resolveWorkspace(req.user, requested, { defaultToOwn });
+    if (!workspace) {
+      return res.status(403).json({ error: "Forbidden: You are not a member of this workspace" });
+    }
+
+    if (capability && !workspace.capabilities[capability]) {
+      return res.status(403).json({ error: `Forbidden: ${capability} permission required` });
+    }
+
+    req.workspace = workspace;
+    next();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+export const workspaceMiddleware = useWorkspace();
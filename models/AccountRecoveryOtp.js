@@ -1,17 +1,29 @@
 import mongoose from "mongoose";
+import bcrypt from "bcrypt";
 
 const otpSchema = new mongoose.Schema({
   identifier: { type: String, required: true },
-  otp: { type: String, required: true },
+  otp_hash: { type: String, required: true }, // bcrypt hash, the plain code is never stored
   method: { type: String, enum: ["email", "mobile"], required: true },
-  purpose: { type: String, enum: ["recovery", "forget_password", "2fa", "signup"], required: true },
+  purpose: { type: String, enum: ["recovery", "forget_password", "2fa", "signup", "change_email", "change_mobile", "magic_link", "ownership_transfer"], required: true },
   is_verified: { type: Boolean, default: false },
+  attempts: { type: Number, default: 0 },
+  invalidated_at: { type: Date, default: null }, // superseded by a newer code or too many attempts
   extra_data: { type: Object },
   expires_at: { type: Date, required: true },
 }, { timestamps: true });
 
+otpSchema.index({ identifier: 1, purpose: 1, createdAt: -1 });
+
+// 🧹 MongoDB removes documents once expires_at has passed
+otpSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
 otpSchema.methods.isExpired = function() {
   return new Date() > this.expires_at;
 };
 
+otpSchema.methods.checkOtp = function(otp) {
+  return bcrypt.compare(String(otp), this.otp_hash);
+};
+
 export default mongoose.model("AccountRecoveryOtp", otpSchema);
@@ -1,5 +1,27 @@
 import mongoose from "mongoose";
 
+export const FUNCTION_TYPES = ["haldi", "mehendi", "sangeet", "baraat", "wedding", "reception", "other"];
+
+const venueSchema = new mongoose.Schema(
+  {
+    name: { type: String, default: null },
+    address: { type: String, default: null },
+    city: { type: String, default: null },
+    map_url: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+// One ceremony of the event (haldi, mehendi, ...), each with its own time and place
+const functionSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  type: { type: String, enum: FUNCTION_TYPES, default: "other" },
+  starts_at: { type: Date, default: null },
+  ends_at: { type: Date, default: null },
+  venue: { type: venueSchema, default: null },
+  notes: { type: String, default: null },
+});
+
 const eventSchema = new mongoose.Schema(
   {
     user_id: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
@@ -10,6 +32,12 @@ const eventSchema = new mongoose.Schema(
     payment_method: { type: String, default: null },
     notes: { type: String, default: null },
 
+    // Schedule: overall date/time range, main venue and the functions within it
+    starts_at: { type: Date, default: null, index: true },
+    ends_at: { type: Date, default: null },
+    venue: { type: venueSchema, default: null },
+    functions: { type: [functionSchema], default: [] },
+
     // Reference to Category
     category_id: { type: mongoose.Schema.Types.ObjectId, ref: "Category", default: null },
 
@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+import { EVENT_SHARE_LEVELS } from "../utils/capabilities.js";
+
+// Access to one event for someone who isn't (or isn't only) a household
+// member, e.g. a decorator or the other family's coordinator.
+const eventShareSchema = new mongoose.Schema(
+  {
+    event_id: { type: mongoose.Schema.Types.ObjectId, ref: "Event", required: true },
+    owner_id: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true }, // event's household
+    user_id: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    permission: { type: String, enum: Object.keys(EVENT_SHARE_LEVELS), required: true },
+    shared_by: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  },
+  { timestamps: true }
+);
+
+eventShareSchema.index({ event_id: 1, user_id: 1 }, { unique: true });
+
+export default mongoose.model("EventShare", eventShareSchema);
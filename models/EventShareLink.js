@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+export const EVENT_LINK_TTL_DAYS = Number(process.env.EVENT_SHARE_LINK_TTL_DAYS || 7);
+export const EVENT_LINK_MAX_TTL_DAYS = 90;
+export const EVENT_LINK_MAX_PIN_ATTEMPTS = 5;
+
+// A public, read-only link to an event summary for people without an account.
+// The URL carries a signed token naming this row; revoking or expiring the
+// row kills every copy of the link.
+const eventShareLinkSchema = new mongoose.Schema(
+  {
+    event_id: { type: mongoose.Schema.Types.ObjectId, ref: "Event", required: true, index: true },
+    owner_id: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true }, // event's household
+    created_by: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    label: { type: String, default: null }, // e.g. "Client", "Groom's family"
+    pin_hash: { type: String, default: null, select: false }, // bcrypt, optional
+    pin_attempts: { type: Number, default: 0 },
+    expires_at: {
+      type: Date,
+      default: () => new Date(Date.now() + EVENT_LINK_TTL_DAYS * 24 * 60 * 60 * 1000),
+    },
+    revoked_at: { type: Date, default: null },
+    revoked_reason: { type: String, default: null },
+    views: { type: Number, default: 0 },
+    last_viewed_at: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+eventShareLinkSchema.methods.isActive = function () {
+  return !this.revoked_at && this.expires_at > new Date();
+};
+
+export default mongoose.model("EventShareLink", eventShareLinkSchema);
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+import { capabilitiesSchema } from "./FamilyPermission.js";
+import { PERMISSION_VALUES } from "../utils/capabilities.js";
+
+export const INVITATION_TTL_DAYS = Number(process.env.FAMILY_INVITE_TTL_DAYS || 7);
+
+// An owner's offer of household access. Only an accepted invitation
+// creates the FamilyPermission. People who haven't signed up yet are
+// invited by email or mobile; invitee_id is filled in once they register.
+const familyInvitationSchema = new mongoose.Schema(
+  {
+    owner_id: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    invitee_id: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null, index: true },
+    email: { type: String, default: null, index: true },
+    mobile: { type: String, default: null, index: true }, // E.164
+    permission: { type: String, enum: PERMISSION_VALUES, required: true },
+    capabilities: { type: capabilitiesSchema, default: () => ({}) },
+    // Window of the access granted on acceptance (the invitation's own expiry is expires_at)
+    access_starts_at: { type: Date, default: null },
+    access_expires_at: { type: Date, default: null },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "declined", "cancelled", "expired"],
+      default: "pending",
+    },
+    expires_at: {
+      type: Date,
+      default: () => new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000),
+    },
+    responded_at: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+familyInvitationSchema.methods.isOpen = function () {
+  const now = new Date();
+  return this.status === "pending" && this.expires_at > now &&
+    (!this.access_expires_at || this.access_expires_at > now);
+};
+
+export default mongoose.model("FamilyInvitation", familyInvitationSchema);
@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+import { capabilitiesSchema } from "./FamilyPermission.js";
+import { PERMISSION_VALUES } from "../utils/capabilities.js";
+
+export const JOIN_CODE_TTL_HOURS = Number(process.env.FAMILY_JOIN_CODE_TTL_HOURS || 24);
+export const JOIN_CODE_MAX_TTL_HOURS = 7 * 24;
+export const JOIN_CODE_MAX_USES = 50;
+
+// A short code (shared as text or QR) that lets anyone logged in join the
+// household with a preset grant, until it expires, runs out or is revoked.
+const familyJoinCodeSchema = new mongoose.Schema(
+  {
+    owner_id: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    created_by: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    code: { type: String, required: true, unique: true },
+    permission: { type: String, enum: PERMISSION_VALUES, required: true },
+    capabilities: { type: capabilitiesSchema, default: () => ({}) },
+    // Window of the access granted on redemption
+    access_starts_at: { type: Date, default: null },
+    access_expires_at: { type: Date, default: null },
+    max_uses: { type: Number, default: 1, min: 1, max: JOIN_CODE_MAX_USES },
+    uses: { type: Number, default: 0 },
+    used_by: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    expires_at: {
+      type: Date,
+      default: () => new Date(Date.now() + JOIN_CODE_TTL_HOURS * 60 * 60 * 1000),
+    },
+    revoked_at: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+familyJoinCodeSchema.methods.isActive = function () {
+  const now = new Date();
+  return !this.revoked_at && this.uses < this.max_uses && this.expires_at > now &&
+    (!this.access_expires_at || this.access_expires_at > now);
+};
+
+export default mongoose.model("FamilyJoinCode", familyJoinCodeSchema);
@@ -1,4 +1,11 @@
 import mongoose from "mongoose";
+import { CAPABILITIES, PERMISSION_VALUES } from "../utils/capabilities.js";
+
+// One boolean per capability (see utils/capabilities.js); only read for "custom" grants
+export const capabilitiesSchema = new mongoose.Schema(
+  Object.fromEntries(CAPABILITIES.map((c) => [c, { type: Boolean, default: false }])),
+  { _id: false }
+);
 
 const familyPermissionSchema = new mongoose.Schema(
   {
@@ -6,11 +13,30 @@ const familyPermissionSchema = new mongoose.Schema(
     member_id: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
     permission: {
       type: String,
-      enum: ["read", "write", "owner"], // 👈 added 'owner'
+      enum: PERMISSION_VALUES, // preset name (owner, write, accountant, read) or "custom"
       required: true,
     },
+    capabilities: { type: capabilitiesSchema, default: () => ({}) },
+    // Optional access window, e.g. for helpers who only need a few weeks
+    starts_at: { type: Date, default: null },
+    expires_at: { type: Date, default: null, index: true },
+    expiry_notified_at: { type: Date, default: null },
   },
   { timestamps: true }
 );
 
+/**
+ * Query conditions for grants that are in effect right now
+ * (started or without a start date, and not expired)
+ * @returns {Object}
+ */
+export const activeGrantFilter = (now = new Date()) => ({
+  starts_at: { $not: { $gt: now } },
+  expires_at: { $not: { $lte: now } },
+});
+
+familyPermissionSchema.methods.isActive = function (now = new Date()) {
+  return (!this.starts_at || this.starts_at <= now) && (!this.expires_at || this.expires_at > now);
+};
+
 export default mongoose.model("FamilyPermission", familyPermissionSchema);
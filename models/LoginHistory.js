@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+const loginHistorySchema = new mongoose.Schema({
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // null when identifier is unknown
+  identifier: { type: String, default: null },
+  status: {
+    type: String,
+    enum: ["success", "bad_password", "locked", "2fa_pending", "2fa_failed", "passkey_failed", "deleted", "unknown_user"],
+    required: true,
+  },
+  method: { type: String, default: "password" }, // password | 2fa | magic_link | passkey
+  ip: { type: String, default: null },
+  user_agent: { type: String, default: null },
+  device_name: { type: String, default: null },
+  device_hash: { type: String, default: null, index: true }, // identifies a device across logins
+  new_device: { type: Boolean, default: false },
+}, { timestamps: true });
+
+loginHistorySchema.index({ user_id: 1, createdAt: -1 });
+
+export default mongoose.model("LoginHistory", loginHistorySchema);
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+import { capabilitiesSchema } from "./FamilyPermission.js";
+import { PERMISSION_VALUES } from "../utils/capabilities.js";
+
+export const TRANSFER_TTL_HOURS = 48;
+
+// A household owner's proposal to hand the household to one of its members.
+// The new owner confirms with an OTP; the old owner stays on as a member.
+const ownershipTransferSchema = new mongoose.Schema(
+  {
+    owner_id: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    new_owner_id: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    // What the previous owner keeps afterwards
+    previous_owner_permission: { type: String, enum: PERMISSION_VALUES, default: "owner" },
+    previous_owner_capabilities: { type: capabilitiesSchema, default: () => ({}) },
+    status: {
+      type: String,
+      enum: ["pending", "completed", "cancelled", "expired"],
+      default: "pending",
+    },
+    expires_at: {
+      type: Date,
+      default: () => new Date(Date.now() + TRANSFER_TTL_HOURS * 60 * 60 * 1000),
+    },
+    completed_at: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+ownershipTransferSchema.methods.isOpen = function () {
+  return this.status === "pending" && this.expires_at > new Date();
+};
+
+export default mongoose.model("OwnershipTransfer", ownershipTransferSchema);
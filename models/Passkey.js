@@ -0,0 +1,15 @@
+import mongoose from "mongoose";
+
+const passkeySchema = new mongoose.Schema({
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  credential_id: { type: String, required: true, unique: true }, // base64url
+  public_key: { type: Buffer, required: true },
+  counter: { type: Number, default: 0 },
+  transports: { type: [String], default: [] },
+  device_type: { type: String, enum: ["singleDevice", "multiDevice"], default: "singleDevice" },
+  backed_up: { type: Boolean, default: false },
+  name: { type: String, default: null }, // e.g. "Pixel 8", shown in the list
+  last_used_at: { type: Date, default: null },
+}, { timestamps: true });
+
+export default mongoose.model("Passkey", passkeySchema);
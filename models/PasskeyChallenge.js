@@ -0,0 +1,15 @@
+import mongoose from "mongoose";
+
+// WebAuthn challenge handed out by an options call. It is deleted when the
+// matching verify call uses it, so one signed assertion can't be replayed.
+const passkeyChallengeSchema = new mongoose.Schema(
+  {
+    challenge: { type: String, required: true, unique: true },
+    purpose: { type: String, enum: ["passkey_register", "passkey_login"], required: true },
+    user_id: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // registration only
+    expires_at: { type: Date, required: true, expires: 0 }, // TTL index cleans up abandoned ceremonies
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("PasskeyChallenge", passkeyChallengeSchema);
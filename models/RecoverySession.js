@@ -0,0 +1,14 @@
+import mongoose from "mongoose";
+
+// Server-side half of a recovery_token: the token's jti must match a row here,
+// and recoveryComplete deletes the row, so each token works only once.
+const recoverySessionSchema = new mongoose.Schema(
+  {
+    jti: { type: String, required: true, unique: true },
+    user_id: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    expires_at: { type: Date, required: true, expires: 0 }, // TTL index removes unused sessions
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("RecoverySession", recoverySessionSchema);
@@ -1,27 +1,51 @@
 import mongoose from "mongoose";
 import bcrypt from "bcrypt";
+import crypto from "crypto";
+import { findTotpStep } from "../utils/totp.js";
+import { mobileLookupValues } from "../utils/identifier.js";
+
+const hashBackupCode = (code) =>
+  crypto.createHash("sha256").update(code.replace(/[\s-]/g, "").toLowerCase()).digest("hex");
 
 const userSchema = new mongoose.Schema({
   fullname: { type: String, required: true },
   email: { type: String, unique: true, sparse: true },
   mobile: { type: String, unique: true, sparse: true },
   password: { type: String, required: true },
+  password_history: { type: [String], default: [], select: false }, // previous hashes, newest last
+  password_changed_at: { type: Date },
   profile_url: { type: String },
   dob: { type: Date },
   two_factor_enabled: { type: Boolean, default: false },
+  two_factor_method: { type: String, enum: ["email", "sms", "totp"], default: "email" },
+  totp_secret: { type: String, default: null, select: false },
+  totp_pending_secret: { type: String, default: null, select: false },
+  totp_last_step: { type: Number, default: null, select: false }, // time step of the last accepted code
+  backup_codes: {
+    type: [{ code_hash: String, used_at: { type: Date, default: null } }],
+    default: [],
+    select: false,
+  },
   email_verified_at: { type: Date },
   mobile_verified: { type: Boolean, default: false },
+  pending_mobile: { type: String, default: null }, // typed at an email signup, not verified (kept out of the unique field)
   login_count: { type: Number, default: 0 },
   last_login_at: { type: Date },
   failed_login_attempts: { type: Number, default: 0 },
   locked_until: { type: Date, default: null },
   deleted_at: { type: Date, default: null },
+  purge_after: { type: Date, default: null }, // hard delete once the grace period ends
+  active_workspace_id: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // household owner
 }, { timestamps: true });
 
 userSchema.methods.isLocked = function() {
   return this.locked_until && this.locked_until > new Date();
 };
 
+userSchema.methods.isDeleted = function() {
+  return !!this.deleted_at;
+};
+
 userSchema.methods.checkPassword = function(password) {
   return bcrypt.compare(password, this.password);
 };
@@ -40,4 +64,47 @@ userSchema.methods.resetFailedLogins = function() {
   return this.save();
 };
 
+// Replace backup codes with a fresh set; returns the plaintext codes (shown once)
+userSchema.methods.generateBackupCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex"); // 10 hex chars
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  this.backup_codes = codes.map((code) => ({ code_hash: hashBackupCode(code) }));
+  return codes;
+};
+
+// Consume a one-time backup code; the conditional update lets only one
+// request spend it
+userSchema.methods.useBackupCode = async function(code) {
+  if (!code) return false;
+
+  const { modifiedCount } = await this.constructor.updateOne(
+    { _id: this._id, backup_codes: { $elemMatch: { code_hash: hashBackupCode(String(code)), used_at: null } } },
+    { $set: { "backup_codes.$.used_at": new Date() } }
+  );
+  return modifiedCount > 0;
+};
+
+// Accept an authenticator code once: its time step must be newer than the last
+// accepted one (requires totp_secret to be selected)
+userSchema.methods.useTotpCode = async function(code) {
+  const step = findTotpStep(this.totp_secret, code);
+  if (step === null) return false;
+
+  const { modifiedCount } = await this.constructor.updateOne(
+    { _id: this._id, $or: [{ totp_last_step: null }, { totp_last_step: { $lt: step } }] },
+    { totp_last_step: step }
+  );
+  return modifiedCount > 0;
+};
+
+// An unverified number is only a claim; whoever verifies it takes it over
+userSchema.statics.releaseUnverifiedMobile = function(mobile, exceptId = null) {
+  return this.updateMany(
+    { _id: { $ne: exceptId }, mobile: { $in: mobileLookupValues(mobile) }, mobile_verified: false },
+    { $unset: { mobile: 1 } }
+  );
+};
+
 export default mongoose.model("User", userSchema);
@@ -1,8 +1,31 @@
 import mongoose from "mongoose";
 
+// One row per login session. `token` holds the sha256 hash of the current
+// refresh token; hashes that were rotated out are kept in `previous_tokens`
+// so that replaying an old refresh token can be detected.
 const userTokenSchema = new mongoose.Schema({
   user_id: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
-  token: { type: String, required: true },
+  token: { type: String, required: true, index: true },
+  previous_tokens: { type: [String], default: [], index: true },
+  expires_at: { type: Date, required: true },
+  revoked_at: { type: Date, default: null },
+  revoked_reason: { type: String, default: null },
+
+  // Device details shown in the active sessions list
+  device_name: { type: String, default: null },
+  user_agent: { type: String, default: null },
+  ip: { type: String, default: null },
+  last_seen_at: { type: Date, default: Date.now },
 }, { timestamps: true });
 
+userTokenSchema.methods.isActive = function() {
+  return !this.revoked_at && this.expires_at > new Date();
+};
+
+userTokenSchema.methods.revoke = function(reason = "logout") {
+  this.revoked_at = new Date();
+  this.revoked_reason = reason;
+  return this.save();
+};
+
 export default mongoose.model("UserToken", userTokenSchema);
@@ -0,0 +1,68 @@
+import express from "express";
+import { authMiddleware } from "../middleware/authMiddleware.js";
+import {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+} from "../controllers/sessionController.js";
+import {
+  setupTotp,
+  confirmTotp,
+  enableEmail2FA,
+  enableSms2FA,
+  disable2FA,
+  regenerateBackupCodes,
+} from "../controllers/twoFactorController.js";
+import {
+  getProfile,
+  updateProfile,
+  changePassword,
+  requestEmailChange,
+  verifyEmailChange,
+  requestMobileChange,
+  verifyMobileChange,
+  deleteAccount,
+  restoreAccount,
+  getLoginHistory,
+} from "../controllers/profileController.js";
+import {
+  passkeyRegisterOptions,
+  passkeyRegisterVerify,
+  getPasskeys,
+  deletePasskey,
+} from "../controllers/passkeyController.js";
+
+const router = express.Router();
+
+// 🔹 Profile
+router.get("/me", authMiddleware, getProfile);
+router.put("/me", authMiddleware, updateProfile);
+router.delete("/me", authMiddleware, deleteAccount);
+router.post("/account/restore", restoreAccount);
+router.post("/me/password", authMiddleware, changePassword);
+router.get("/me/login-history", authMiddleware, getLoginHistory);
+router.post("/me/email", authMiddleware, requestEmailChange);
+router.post("/me/email/verify", authMiddleware, verifyEmailChange);
+router.post("/me/mobile", authMiddleware, requestMobileChange);
+router.post("/me/mobile/verify", authMiddleware, verifyMobileChange);
+
+// 🔹 Sessions / devices
+router.get("/sessions", authMiddleware, getSessions);
+router.post("/sessions/logout-others", authMiddleware, revokeOtherSessions);
+router.delete("/sessions/:id", authMiddleware, revokeSession);
+
+// 🔹 Two-factor authentication
+router.post("/2fa/totp/setup", authMiddleware, setupTotp);
+router.post("/2fa/totp/confirm", authMiddleware, confirmTotp);
+router.post("/2fa/email/enable", authMiddleware, enableEmail2FA);
+router.post("/2fa/sms/enable", authMiddleware, enableSms2FA);
+router.post("/2fa/disable", authMiddleware, disable2FA);
+router.post("/2fa/backup-codes", authMiddleware, regenerateBackupCodes);
+
+// 🔹 Passkeys
+router.get("/passkeys", authMiddleware, getPasskeys);
+router.post("/passkeys/register/options", authMiddleware, passkeyRegisterOptions);
+router.post("/passkeys/register/verify", authMiddleware, passkeyRegisterVerify);
+router.delete("/passkeys/:id", authMiddleware, deletePasskey);
+
+export default router;
@@ -0,0 +1,10 @@
+import express from "express";
+import { getOutbox, getOutboxMessage } from "../controllers/devController.js";
+
+const router = express.Router();
+
+// 🔹 Mail outbox (file driver)
+router.get("/dev/outbox", getOutbox);
+router.get("/dev/outbox/:id", getOutboxMessage);
+
+export default router;
@@ -12,33 +12,88 @@ import {
   updateEventStatusPriority,deletePayment
 } from "../controllers/EventController.js";
 import { authMiddleware } from "../middleware/authMiddleware.js";
+import { workspaceMiddleware, useWorkspace } from "../middleware/workspaceMiddleware.js";
+import { getWorkspaces, setActiveWorkspace } from "../controllers/workspaceController.js";
+import { shareEvent, getEventShares, removeEventShare } from "../controllers/eventShareController.js";
+import { createEventLink, getEventLinks, revokeEventLink } from "../controllers/eventLinkController.js";
+import {
+  proposeOwnershipTransfer,
+  getOwnershipTransfers,
+  resendTransferOtp,
+  confirmOwnershipTransfer,
+  cancelOwnershipTransfer,
+} from "../controllers/ownershipController.js";
 import {
   giveFamilyAccess,
   fetchFamilyPermissions,
   editFamilyPermission,
+  getReceivedInvitations,
+  getSentInvitations,
+  acceptInvitation,
+  declineInvitation,
+  cancelInvitation,
+  revokeFamilyAccess,
+  leaveHousehold,
+  createJoinCode,
+  getJoinCodes,
+  revokeJoinCode,
+  redeemJoinCode,
 } from "../controllers/familyController.js";
 
 const router = express.Router();
 
+// Member management targets the caller's own household unless X-Workspace-Id says otherwise
+const manageMembers = useWorkspace({ defaultToOwn: true, capability: "manage_members" });
+
 // 🔹 Events
-router.get("/events", authMiddleware, getEvents);
+router.get("/events", authMiddleware, workspaceMiddleware, getEvents);
 router.get("/categories", authMiddleware, getCategories);
 router.get("/search-categories", authMiddleware, getSearcCategories);
 
-router.delete("/events/:id/payments/:paymentId", authMiddleware, deletePayment);
-router.put("/events/:id/update", authMiddleware, updateEventStatusPriority);
-router.post("/events", authMiddleware, createEvent);
-router.get("/events/:id", authMiddleware, getEventById);
-router.put("/events/:id", authMiddleware, updateEvent);
-router.delete("/events/:id", authMiddleware, deleteEvent);
+router.delete("/events/:id/payments/:paymentId", authMiddleware, workspaceMiddleware, deletePayment);
+router.put("/events/:id/update", authMiddleware, workspaceMiddleware, updateEventStatusPriority);
+router.post("/events", authMiddleware, workspaceMiddleware, createEvent);
+router.get("/events/:id", authMiddleware, workspaceMiddleware, getEventById);
+router.put("/events/:id", authMiddleware, workspaceMiddleware, updateEvent);
+router.delete("/events/:id", authMiddleware, workspaceMiddleware, deleteEvent);
+
+// 🔹 Per-event sharing
+router.post("/events/:id/shares", authMiddleware, workspaceMiddleware, shareEvent);
+router.get("/events/:id/shares", authMiddleware, workspaceMiddleware, getEventShares);
+router.delete("/events/:id/shares/:shareId", authMiddleware, workspaceMiddleware, removeEventShare);
+
+// 🔹 Public share links (viewed without login at /api/public/events/:token)
+router.post("/events/:id/links", authMiddleware, workspaceMiddleware, createEventLink);
+router.get("/events/:id/links", authMiddleware, workspaceMiddleware, getEventLinks);
+router.delete("/events/:id/links/:linkId", authMiddleware, workspaceMiddleware, revokeEventLink);
 
 // 🔹 Payments
-router.post("/events/:id/payments", authMiddleware, addPayment);
+router.post("/events/:id/payments", authMiddleware, workspaceMiddleware, addPayment);
+
+// 🔹 Workspaces
+router.get("/workspaces", authMiddleware, getWorkspaces);
+router.put("/workspaces/active", authMiddleware, setActiveWorkspace);
 
 // 🔹 Family routes
-router.post("/family/share", authMiddleware, giveFamilyAccess);
-router.get("/family", authMiddleware, fetchFamilyPermissions);
-router.put("/family/permissions/:id", authMiddleware, editFamilyPermission);
+router.post("/family/share", authMiddleware, manageMembers, giveFamilyAccess);
+router.get("/family", authMiddleware, manageMembers, fetchFamilyPermissions);
+router.put("/family/permissions/:id", authMiddleware, manageMembers, editFamilyPermission);
+router.delete("/family/permissions/:id", authMiddleware, manageMembers, revokeFamilyAccess);
+router.post("/family/leave", authMiddleware, leaveHousehold);
+router.get("/family/invitations", authMiddleware, getReceivedInvitations);
+router.get("/family/invitations/sent", authMiddleware, manageMembers, getSentInvitations);
+router.post("/family/invitations/:id/accept", authMiddleware, acceptInvitation);
+router.post("/family/invitations/:id/decline", authMiddleware, declineInvitation);
+router.delete("/family/invitations/:id", authMiddleware, manageMembers, cancelInvitation);
+router.post("/family/join-codes", authMiddleware, manageMembers, createJoinCode);
+router.get("/family/join-codes", authMiddleware, manageMembers, getJoinCodes);
+router.delete("/family/join-codes/:id", authMiddleware, manageMembers, revokeJoinCode);
+router.post("/family/join", authMiddleware, redeemJoinCode);
+router.post("/family/transfer", authMiddleware, proposeOwnershipTransfer);
+router.get("/family/transfer", authMiddleware, getOwnershipTransfers);
+router.post("/family/transfer/:id/otp", authMiddleware, resendTransferOtp);
+router.post("/family/transfer/:id/confirm", authMiddleware, confirmOwnershipTransfer);
+router.post("/family/transfer/:id/cancel", authMiddleware, cancelOwnershipTransfer);
 // router.get("/events/:id/payments", payments); // if you create a `payments` method later
-router.put("/events/:id/payments/:paymentId", authMiddleware, updatePayment);
+router.put("/events/:id/payments/:paymentId", authMiddleware, workspaceMiddleware, updatePayment);
 export default router;
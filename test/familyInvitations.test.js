@@ -0,0 +1,51 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import FamilyInvitation from "../models/FamilyInvitation.js";
+import { attachPendingInvitations } from "../utils/familyInvitations.js";
+
+// Pending invitations kept in memory; find() applies the $or of contacts the way MongoDB would
+const matches = (invitation, contact) =>
+  contact.email !== undefined
+    ? invitation.email === contact.email
+    : contact.mobile.$in.includes(invitation.mobile);
+
+describe("attachPendingInvitations", () => {
+  const originalFind = FamilyInvitation.find;
+  let invitations;
+
+  beforeEach(() => {
+    invitations = [];
+    FamilyInvitation.find = (filter) => ({
+      sort: async () => invitations.filter((i) => filter.$or.some((c) => matches(i, c))),
+    });
+  });
+
+  afterEach(() => {
+    FamilyInvitation.find = originalFind;
+  });
+
+  const invite = (contact) => {
+    const invitation = { ...contact, invitee_id: null, status: "pending", save: async () => {} };
+    invitations.push(invitation);
+    return invitation;
+  };
+
+  test("an unverified mobile from an email signup does not pick up invitations to that number", async () => {
+    const toRelative = invite({ mobile: "+919876543210" });
+    const squatter = { _id: new mongoose.Types.ObjectId(), email: "squatter@example.com", mobile: "+919876543210" };
+
+    const joined = await attachPendingInvitations(squatter, { email: true, mobile: false });
+
+    assert.equal(joined, 0);
+    assert.equal(toRelative.invitee_id, null);
+    assert.equal(toRelative.status, "pending");
+  });
+
+  test("nothing is looked up when no channel was verified", async () => {
+    FamilyInvitation.find = () => assert.fail("find() should not be called");
+    const user = { _id: new mongoose.Types.ObjectId(), email: "a@example.com", mobile: "+919876543210" };
+
+    assert.equal(await attachPendingInvitations(user, {}), 0);
+  });
+});
@@ -0,0 +1,113 @@
+import crypto from "crypto";
+
+// Minimal CBOR encoder: just the types a "none" attestation and a COSE key need
+const head = (major, n) => {
+  if (n < 24) return Buffer.from([(major << 5) | n]);
+  if (n < 256) return Buffer.from([(major << 5) | 24, n]);
+  const b = Buffer.alloc(3);
+  b[0] = (major << 5) | 25;
+  b.writeUInt16BE(n, 1);
+  return b;
+};
+
+const cbor = (value) => {
+  if (Number.isInteger(value)) return value >= 0 ? head(0, value) : head(1, -1 - value);
+  if (Buffer.isBuffer(value)) return Buffer.concat([head(2, value.length), value]);
+  if (typeof value === "string") {
+    const bytes = Buffer.from(value, "utf8");
+    return Buffer.concat([head(3, bytes.length), bytes]);
+  }
+  if (value instanceof Map) {
+    const parts = [head(5, value.size)];
+    for (const [k, v] of value) parts.push(cbor(k), cbor(v));
+    return Buffer.concat(parts);
+  }
+  throw new Error(`cbor: unsupported value ${value}`);
+};
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest();
+const b64url = (buf) => Buffer.from(buf).toString("base64url");
+
+const FLAG_UP = 0x01;
+const FLAG_UV = 0x04;
+const FLAG_AT = 0x40;
+
+/**
+ * In-memory ES256 authenticator producing WebAuthn JSON the way a browser would
+ * @param {Object} params
+ * @param {String} params.rpId
+ * @param {String} params.origin
+ */
+export const createSoftwareAuthenticator = ({ rpId, origin }) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+  const jwk = publicKey.export({ format: "jwk" });
+  const credentialId = crypto.randomBytes(16);
+  let counter = 0;
+
+  const coseKey = cbor(new Map([
+    [1, 2], // kty: EC2
+    [3, -7], // alg: ES256
+    [-1, 1], // crv: P-256
+    [-2, Buffer.from(jwk.x, "base64url")],
+    [-3, Buffer.from(jwk.y, "base64url")],
+  ]));
+
+  const authData = (flags, attested) => {
+    const count = Buffer.alloc(4);
+    count.writeUInt32BE(counter);
+    const parts = [sha256(rpId), Buffer.from([flags]), count];
+    if (attested) {
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(credentialId.length);
+      parts.push(Buffer.alloc(16), idLength, credentialId, coseKey);
+    }
+    return Buffer.concat(parts);
+  };
+
+  const clientData = (type, challenge, overrides) =>
+    Buffer.from(JSON.stringify({ type, challenge, origin, crossOrigin: false, ...overrides }));
+
+  return {
+    credentialId: b64url(credentialId),
+
+    // navigator.credentials.create()
+    register: (challenge, { userVerified = true, clientOverrides = {} } = {}) => {
+      const flags = FLAG_UP | FLAG_AT | (userVerified ? FLAG_UV : 0);
+      const attestationObject = cbor(new Map([
+        ["fmt", "none"],
+        ["attStmt", new Map()],
+        ["authData", authData(flags, true)],
+      ]));
+      return {
+        id: b64url(credentialId),
+        rawId: b64url(credentialId),
+        type: "public-key",
+        response: {
+          clientDataJSON: b64url(clientData("webauthn.create", challenge, clientOverrides)),
+          attestationObject: b64url(attestationObject),
+          transports: ["internal"],
+        },
+        clientExtensionResults: {},
+      };
+    },
+
+    // navigator.credentials.get()
+    authenticate: (challenge, { userVerified = true, clientOverrides = {} } = {}) => {
+      counter += 1;
+      const data = authData(FLAG_UP | (userVerified ? FLAG_UV : 0), false);
+      const clientDataJSON = clientData("webauthn.get", challenge, clientOverrides);
+      const signature = crypto.sign("sha256", Buffer.concat([data, sha256(clientDataJSON)]), privateKey);
+      return {
+        id: b64url(credentialId),
+        rawId: b64url(credentialId),
+        type: "public-key",
+        response: {
+          clientDataJSON: b64url(clientDataJSON),
+          authenticatorData: b64url(data),
+          signature: b64url(signature),
+        },
+        clientExtensionResults: {},
+      };
+    },
+  };
+};
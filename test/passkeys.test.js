@@ -0,0 +1,81 @@
+import { test, describe, before } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { verifyPasskeyRegistration, verifyPasskeyAuthentication } from "../utils/passkeys.js";
+import { createSoftwareAuthenticator } from "./helpers/softwareAuthenticator.js";
+
+const RP_ID = "localhost";
+const ORIGIN = "http://localhost:3000";
+process.env.WEBAUTHN_RP_ID = RP_ID;
+process.env.WEBAUTHN_ORIGIN = ORIGIN;
+
+const newChallenge = () => crypto.randomBytes(32).toString("base64url");
+
+describe("passkeys with a software authenticator", () => {
+  const authenticator = createSoftwareAuthenticator({ rpId: RP_ID, origin: ORIGIN });
+  let passkey;
+
+  before(async () => {
+    const challenge = newChallenge();
+    const { verified, registrationInfo } = await verifyPasskeyRegistration(authenticator.register(challenge), challenge);
+    assert.equal(verified, true);
+    // Stored the way passkeyRegisterVerify saves it
+    passkey = {
+      credential_id: registrationInfo.credential.id,
+      public_key: Buffer.from(registrationInfo.credential.publicKey),
+      counter: registrationInfo.credential.counter,
+      transports: ["internal"],
+    };
+  });
+
+  test("registration stores the authenticator's credential id", () => {
+    assert.equal(passkey.credential_id, authenticator.credentialId);
+    assert.equal(passkey.counter, 0);
+  });
+
+  test("registration with a different challenge is rejected", async () => {
+    const other = createSoftwareAuthenticator({ rpId: RP_ID, origin: ORIGIN });
+    await assert.rejects(verifyPasskeyRegistration(other.register(newChallenge()), newChallenge()));
+  });
+
+  test("a user-verified assertion verifies and moves the counter", async () => {
+    const challenge = newChallenge();
+    const { verified, authenticationInfo } = await verifyPasskeyAuthentication(
+      authenticator.authenticate(challenge), challenge, passkey
+    );
+    assert.equal(verified, true);
+    assert.equal(authenticationInfo.userVerified, true);
+    assert.ok(authenticationInfo.newCounter > passkey.counter);
+    passkey.counter = authenticationInfo.newCounter;
+  });
+
+  test("an assertion without user verification reports userVerified false", async () => {
+    const challenge = newChallenge();
+    const { verified, authenticationInfo } = await verifyPasskeyAuthentication(
+      authenticator.authenticate(challenge, { userVerified: false }), challenge, passkey
+    );
+    assert.equal(verified, true);
+    assert.equal(authenticationInfo.userVerified, false);
+    passkey.counter = authenticationInfo.newCounter;
+  });
+
+  test("an assertion signed for another challenge is rejected", async () => {
+    await assert.rejects(
+      verifyPasskeyAuthentication(authenticator.authenticate(newChallenge()), newChallenge(), passkey)
+    );
+  });
+
+  test("an assertion from another origin is rejected", async () => {
+    const challenge = newChallenge();
+    const response = authenticator.authenticate(challenge, { clientOverrides: { origin: "https://evil.example" } });
+    await assert.rejects(verifyPasskeyAuthentication(response, challenge, passkey));
+  });
+
+  test("an assertion signed by another key is rejected", async () => {
+    const challenge = newChallenge();
+    const imposter = createSoftwareAuthenticator({ rpId: RP_ID, origin: ORIGIN });
+    const response = { ...imposter.authenticate(challenge), id: passkey.credential_id, rawId: passkey.credential_id };
+    const result = await verifyPasskeyAuthentication(response, challenge, passkey).catch(() => ({ verified: false }));
+    assert.equal(result.verified, false);
+  });
+});
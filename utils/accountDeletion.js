@@ -0,0 +1,148 @@
+import User from "../models/User.js";
+import UserToken from "../models/UserToken.js";
+import AccountRecoveryOtp from "../models/AccountRecoveryOtp.js";
+import FamilyPermission, { activeGrantFilter } from "../models/FamilyPermission.js";
+import FamilyInvitation from "../models/FamilyInvitation.js";
+import OwnershipTransfer from "../models/OwnershipTransfer.js";
+import FamilyJoinCode from "../models/FamilyJoinCode.js";
+import EventShare from "../models/EventShare.js";
+import EventShareLink from "../models/EventShareLink.js";
+import Event from "../models/Event.js";
+import Transaction from "../models/Transaction.js";
+import Notification from "../models/Notification.js";
+import LoginHistory from "../models/LoginHistory.js";
+import Passkey from "../models/Passkey.js";
+import { revokeUserSessions } from "./session.js";
+
+export const DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS || 30);
+
+/**
+ * Hand the household over to a co-owner once the grace period is over.
+ * Without one, the events archived at deletion stay archived and are purged.
+ * @param {Object} user - User being purged
+ * @returns {Promise<{reassigned_to: ObjectId|null, events: Number}>}
+ */
+const releaseOwnedData = async (user) => {
+  // A co-owner grant that hasn't started or has run out doesn't count
+  const coOwner = await FamilyPermission.findOne({ owner_id: user._id, permission: "owner", ...activeGrantFilter() })
+    .sort({ createdAt: 1 });
+  if (!coOwner) return { reassigned_to: null, events: 0 };
+
+  const newOwnerId = coOwner.member_id;
+
+  // Only the events archived by the deletion come back; ones deleted before stay deleted
+  const { modifiedCount } = await Event.updateMany(
+    { user_id: user._id, is_deleted: true, deleted_at: user.deleted_at },
+    { user_id: newOwnerId, is_deleted: false, deleted_at: null }
+  );
+  await EventShare.updateMany({ owner_id: user._id }, { owner_id: newOwnerId });
+
+  // Remaining members now belong to the new owner's household
+  await FamilyPermission.deleteOne({ _id: coOwner._id });
+  const members = await FamilyPermission.find({ owner_id: user._id });
+  for (const perm of members) {
+    const exists = await FamilyPermission.exists({ owner_id: newOwnerId, member_id: perm.member_id });
+    if (exists || perm.member_id.equals(newOwnerId)) await perm.deleteOne();
+    else await FamilyPermission.updateOne({ _id: perm._id }, { owner_id: newOwnerId });
+  }
+
+  return { reassigned_to: newOwnerId, events: modifiedCount };
+};
+
+/**
+ * Soft delete an account: block login, end sessions, close the household and
+ * archive its events. Grants and shares are kept so restoreAccount can undo
+ * this; purgeDeletedAccounts removes them (or hands the household to a
+ * co-owner) after the grace period.
+ * @param {Object} user - User document
+ * @returns {Promise<{purge_after: Date, events: Number}>}
+ */
+export const deactivateAccount = async (user) => {
+  const now = new Date();
+  user.deleted_at = now;
+  user.purge_after = new Date(now.getTime() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  await user.save();
+
+  await revokeUserSessions(user._id, null, "account_deleted");
+  await FamilyInvitation.updateMany(
+    { $or: [{ owner_id: user._id }, { invitee_id: user._id }], status: "pending" },
+    { status: "cancelled", responded_at: now }
+  );
+  await OwnershipTransfer.updateMany(
+    { $or: [{ owner_id: user._id }, { new_owner_id: user._id }], status: "pending" },
+    { status: "cancelled" }
+  );
+  await FamilyJoinCode.updateMany({ owner_id: user._id, revoked_at: null }, { revoked_at: now });
+
+  // Members can't open a deleted owner's household (see resolveWorkspace); archiving
+  // also hides the events from collaborators and public links
+  const { modifiedCount } = await Event.updateMany(
+    { user_id: user._id, is_deleted: false },
+    { is_deleted: true, deleted_at: now }
+  );
+  await EventShareLink.updateMany(
+    { owner_id: user._id, revoked_at: null },
+    { revoked_at: now, revoked_reason: "account_deleted" }
+  );
+
+  return { purge_after: user.purge_after, events: modifiedCount };
+};
+
+/**
+ * Undo deactivateAccount during the grace period. Events and share links come
+ * back; cancelled invitations, join codes and transfers stay cancelled.
+ * @param {Object} user - User document (deleted, purge_after still ahead)
+ * @returns {Promise<{events: Number}>}
+ */
+export const restoreAccount = async (user) => {
+  const deletedAt = user.deleted_at;
+
+  const { modifiedCount } = await Event.updateMany(
+    { user_id: user._id, is_deleted: true, deleted_at: deletedAt },
+    { is_deleted: false, deleted_at: null }
+  );
+  await EventShareLink.updateMany(
+    { owner_id: user._id, revoked_at: deletedAt, revoked_reason: "account_deleted" },
+    { revoked_at: null, revoked_reason: null }
+  );
+
+  user.deleted_at = null;
+  user.purge_after = null;
+  await user.save();
+
+  return { events: modifiedCount };
+};
+
+/**
+ * Hard delete accounts whose grace period is over, with their personal data
+ * @returns {Promise<Number>} number of accounts purged
+ */
+export const purgeDeletedAccounts = async () => {
+  const users = await User.find({ deleted_at: { $ne: null }, purge_after: { $lte: new Date() } });
+
+  for (const user of users) {
+    await releaseOwnedData(user);
+
+    // distinct() bypasses the soft-delete find hook, so archived events are included
+    const archivedEvents = await Event.distinct("_id", { user_id: user._id });
+
+    await Transaction.deleteMany({ event_id: { $in: archivedEvents } });
+    await Event.deleteMany({ _id: { $in: archivedEvents } });
+    await Notification.deleteMany({ user_id: user._id });
+    await UserToken.deleteMany({ user_id: user._id });
+    await LoginHistory.deleteMany({ user_id: user._id });
+    await Passkey.deleteMany({ user_id: user._id });
+    await AccountRecoveryOtp.deleteMany({
+      identifier: { $in: [user.email, user.mobile].filter(Boolean) },
+    });
+    await FamilyPermission.deleteMany({ $or: [{ owner_id: user._id }, { member_id: user._id }] });
+    await FamilyInvitation.deleteMany({ $or: [{ owner_id: user._id }, { invitee_id: user._id }] });
+    await OwnershipTransfer.deleteMany({ $or: [{ owner_id: user._id }, { new_owner_id: user._id }] });
+    await FamilyJoinCode.deleteMany({ owner_id: user._id });
+    await EventShare.deleteMany({ $or: [{ owner_id: user._id }, { user_id: user._id }] });
+    await EventShareLink.deleteMany({ owner_id: user._id });
+    await User.deleteOne({ _id: user._id });
+  }
+
+  return users.length;
+};
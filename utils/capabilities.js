@@ -0,0 +1,85 @@
+// What a household member may do. The household owner has every capability;
+// members get a preset (stored in FamilyPermission.permission) or a custom mix.
+export const CAPABILITIES = [
+  "view_financials",       // booking total / advance amounts
+  "view_all_transactions", // payments added by other members
+  "add_payments",          // add, edit and remove payments
+  "edit_events",           // create and update events, see drafts
+  "delete_events",
+  "manage_categories",     // create new categories while saving events
+  "manage_members",        // invite, edit and remove members
+];
+
+const only = (...caps) => Object.fromEntries(CAPABILITIES.map((c) => [c, caps.includes(c)]));
+
+export const PRESETS = {
+  owner: only(...CAPABILITIES),
+  write: only("add_payments", "edit_events", "delete_events", "manage_categories"),
+  accountant: only("view_financials", "view_all_transactions", "add_payments"),
+  read: only(),
+};
+
+export const PERMISSION_VALUES = [...Object.keys(PRESETS), "custom"];
+
+// Levels for sharing a single event with someone outside the household.
+// Deleting the event and seeing its amounts stay with the household.
+export const EVENT_SHARE_LEVELS = {
+  read: only(),
+  write: only("edit_events", "add_payments"),
+};
+
+/**
+ * Effective capabilities of a FamilyPermission (or invitation). Rows created
+ * before capabilities existed fall back to their preset.
+ * @param {{permission: String, capabilities?: Object}} grant
+ * @returns {Object<String, Boolean>}
+ */
+export const resolveCapabilities = (grant) => {
+  const base = PRESETS[grant?.permission] ?? PRESETS.read;
+  if (grant?.permission !== "custom") return { ...base };
+  return Object.fromEntries(CAPABILITIES.map((c) => [c, !!grant.capabilities?.[c]]));
+};
+
+/**
+ * Validate a permission + capabilities request body
+ * @param {String} permission - preset name or "custom"
+ * @param {Object} [capabilities] - overrides; any override turns the grant into "custom"
+ * @returns {{error?: String, grant?: {permission: String, capabilities: Object}}}
+ */
+export const buildGrant = (permission, capabilities) => {
+  if (capabilities !== undefined && (typeof capabilities !== "object" || capabilities === null || Array.isArray(capabilities)))
+    return { error: "capabilities must be an object" };
+
+  const unknown = Object.keys(capabilities ?? {}).filter((c) => !CAPABILITIES.includes(c));
+  if (unknown.length) return { error: `Unknown capabilities: ${unknown.join(", ")}` };
+
+  if (!permission && !capabilities) return { error: "permission or capabilities is required" };
+  if (permission && !PERMISSION_VALUES.includes(permission))
+    return { error: `Invalid permission value (use one of: ${PERMISSION_VALUES.join(", ")})` };
+
+  const base = PRESETS[permission] ?? PRESETS.read;
+  const merged = Object.fromEntries(
+    CAPABILITIES.map((c) => [c, capabilities?.[c] === undefined ? base[c] : !!capabilities[c]])
+  );
+
+  // Name the preset when the result matches one exactly
+  const preset = Object.keys(PRESETS).find((p) => CAPABILITIES.every((c) => PRESETS[p][c] === merged[c]));
+  return { grant: { permission: preset ?? "custom", capabilities: merged } };
+};
+
+/**
+ * Whether a workspace (from workspaceMiddleware) allows an action
+ * @param {{capabilities: Object}} workspace
+ * @param {String} capability
+ * @returns {Boolean}
+ */
+export const can = (workspace, capability) => !!workspace?.capabilities?.[capability];
+
+/**
+ * Capabilities the granter lacks but the grant asks for
+ * @param {Object} granterCaps
+ * @param {Object} grantCaps
+ * @returns {String[]}
+ */
+export const exceedingCapabilities = (granterCaps, grantCaps) =>
+  CAPABILITIES.filter((c) => grantCaps[c] && !granterCaps[c]);
@@ -1,26 +1,42 @@
-import FamilyPermission from "../models/FamilyPermission.js";
+import FamilyPermission, { activeGrantFilter } from "../models/FamilyPermission.js";
+import { resolveCapabilities } from "./capabilities.js";
+import { resolveWorkspace } from "./workspace.js";
 
 /**
- * Check if a user (memberId) has permission ('read' or 'write') for a resource owned by ownerId
+ * Check if a user (memberId) may act on a resource owned by ownerId
  * @param {String|ObjectId} memberId - Current user id
  * @param {String|ObjectId} ownerId - Resource owner id
- * @param {"read"|"write"} required - Required access type
+ * @param {"read"|"write"|String} required - "read" (any member), "write" (edit_events) or a capability name
  * @returns {Promise<Boolean>}
  */
 export const checkAccess = async (memberId, ownerId, required) => {
   // Owner always has full access
   if (memberId.toString() === ownerId.toString()) return true;
 
-  // Find permission in FamilyPermission collection
+  // Find permission in FamilyPermission collection (only within its access window)
   const perm = await FamilyPermission.findOne({
     owner_id: ownerId,
     member_id: memberId,
+    ...activeGrantFilter(),
   });
 
   if (!perm) return false;
+  if (required === "read") return true;
 
-  if (required === "read" && ["read", "write"].includes(perm.permission)) return true;
-  if (required === "write" && perm.permission === "write") return true;
+  const capabilities = resolveCapabilities(perm);
+  return !!capabilities[required === "write" ? "edit_events" : required];
+};
 
-  return false;
+/**
+ * Access reported to the client at login, for the user's default workspace
+ * @param {Object} user - User document
+ * @returns {Promise<{permission: String, capabilities: Object, workspace_id: ObjectId}>}
+ */
+export const getEffectiveAccess = async (user) => {
+  const workspace = await resolveWorkspace(user);
+  return {
+    permission: workspace.permission, // "owner" | "write" | "accountant" | "read" | "custom"
+    capabilities: workspace.capabilities,
+    workspace_id: workspace.owner_id,
+  };
 };
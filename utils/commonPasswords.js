@@ -0,0 +1,31 @@
+// Frequently used / breached passwords (lower-cased), compiled from public
+// breach corpora. Matched case-insensitively and after stripping trailing
+// digits/symbols, so "Password123!" is caught by "password".
+const COMMON_PASSWORDS = `
+123456 123456789 12345678 12345 1234567 1234567890 123123 111111 000000 654321
+666666 121212 112233 123321 7777777 888888 987654321 555555 999999 11111111
+1q2w3e4r 1q2w3e4r5t 1qaz2wsx qwerty qwerty123 qwertyuiop qwerty1 qwe123 asdfgh
+asdfghjkl asdf1234 zxcvbnm zxcvbn 1qazxsw2 qazwsx azerty abc123 abcd1234 abcdef
+password password1 passw0rd p@ssw0rd p@ssword pass1234 password12 password123
+letmein welcome welcome1 admin admin123 administrator root toor login guest
+iloveyou iloveu loveyou lovely love123 mylove sweetheart princess sunshine angel
+monkey dragon master shadow superman batman football baseball soccer hockey
+cricket sachin dhoni virat india india123 bharat hindustan jaihind mumbai delhi
+bangalore chennai kolkata hyderabad pune jaipur lucknow ganesh krishna shiva
+saibaba omsairam jaimatadi hanuman ramram durga lakshmi allah bismillah
+mashallah inshallah pakistan karachi lahore islam muhammad ali786 786786
+michael jennifer jessica ashley charlie daniel thomas jordan hunter ranger
+buster tigger pepper ginger cookie chocolate cheese banana orange summer winter
+spring autumn flower rainbow starwars pokemon naruto matrix trustno1 freedom
+whatever nothing secret secret1 hello hello123 hellohello test test123 testing
+demo demo123 default changeme changeme123 temp temp123 computer internet
+google facebook instagram whatsapp samsung nokia iphone apple microsoft
+marriage wedding shaadi shadi dulha dulhan bride groom honeymoon family
+family123 mother father baby babygirl babyboy daddy mummy mommy papa
+12341234 11223344 10203040 147258369 159753 159357 741852963 963852741 852456
+a1b2c3d4 aa123456 aaaaaa aaaaaaaa abcabc qweasd qweasdzxc 1111 2222 0000 1234
+football1 baseball1 michael1 jordan23 liverpool chelsea arsenal manutd barcelona
+realmadrid ronaldo messi cr7 lionel neymar kohli tendulkar
+`.trim().split(/\s+/);
+
+export default new Set(COMMON_PASSWORDS);
@@ -1,42 +1,156 @@
 import nodemailer from "nodemailer";
+import { Resend } from "resend";
+import crypto from "crypto";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
 import dotenv from "dotenv";
+import { renderTemplate } from "./emailTemplates.js";
 dotenv.config();
 
-// Create transporter using Gmail SMTP
-const transporter = nodemailer.createTransport({
-  host: "smtp.gmail.com",
-  port: 465,        // 465 for SSL, 587 for TLS
-  secure: true,     // true for 465, false for 587
-  auth: {
-    user: process.env.MAIL_USER, // Gmail address
-    pass: process.env.MAIL_PASS, // Gmail App Password
+/**
+ * Mail drivers. Pick one with MAIL_DRIVER:
+ *  - "smtp":   nodemailer (MAIL_HOST / MAIL_PORT / MAIL_SECURE, MAIL_USER + MAIL_PASS; Gmail by default)
+ *  - "resend": Resend API (RESEND_API_KEY)
+ *  - "file":   writes each message as JSON into MAIL_OUTBOX_DIR (dev / tests)
+ * Defaults to "resend" when RESEND_API_KEY is set, "smtp" when MAIL_USER is set, otherwise "file".
+ */
+
+const mailFrom = () =>
+  process.env.MAIL_FROM || `"${process.env.APP_NAME || "Marriage Planner"}" <${process.env.MAIL_USER || "no-reply@localhost"}>`;
+
+let smtpTransporter;
+const getSmtpTransporter = () => {
+  smtpTransporter ??= nodemailer.createTransport({
+    host: process.env.MAIL_HOST || "smtp.gmail.com",
+    port: Number(process.env.MAIL_PORT) || 465,      // 465 for SSL, 587 for TLS
+    secure: (process.env.MAIL_SECURE ?? "true") === "true",
+    auth: {
+      user: process.env.MAIL_USER,
+      pass: process.env.MAIL_PASS, // Gmail App Password
+    },
+    connectionTimeout: 20000, // 20 seconds timeout
+  });
+  return smtpTransporter;
+};
+
+const smtpDriver = {
+  async send(message) {
+    const info = await getSmtpTransporter().sendMail({ from: mailFrom(), ...message });
+    return info.messageId;
+  },
+};
+
+let resendClient;
+const resendDriver = {
+  async send(message) {
+    resendClient ??= new Resend(process.env.RESEND_API_KEY);
+    const { data, error } = await resendClient.emails.send({ from: mailFrom(), ...message });
+    if (error) throw new Error(`Resend error: ${error.message}`);
+    return data.id;
+  },
+};
+
+export const outboxDir = () =>
+  process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), "mail-outbox");
+
+const fileDriver = {
+  async send(message) {
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+    await fs.mkdir(outboxDir(), { recursive: true });
+    await fs.writeFile(
+      path.join(outboxDir(), `${id}.json`),
+      JSON.stringify({ id, from: mailFrom(), ...message, sent_at: new Date().toISOString() }, null, 2)
+    );
+    console.log(`📧 Email to ${message.to} saved to outbox: ${message.subject}`);
+    return id;
   },
-  connectionTimeout: 20000, // 20 seconds timeout
-});
+};
+
+const drivers = { smtp: smtpDriver, resend: resendDriver, file: fileDriver };
+
+export const getMailDriverName = () =>
+  process.env.MAIL_DRIVER ||
+  (process.env.RESEND_API_KEY ? "resend" : process.env.MAIL_USER ? "smtp" : "file");
+
+/**
+ * The outbox holds every OTP, magic link and reset code in plain text, so
+ * /api/dev/outbox is served only when explicitly asked for with
+ * ENABLE_DEV_OUTBOX=true, the file driver is in use, and never in production.
+ * @returns {Boolean}
+ */
+export const isDevOutboxEnabled = () =>
+  process.env.ENABLE_DEV_OUTBOX === "true" &&
+  process.env.NODE_ENV !== "production" &&
+  getMailDriverName() === "file";
+
+const getDriver = () => {
+  const name = getMailDriverName();
+  const driver = drivers[name];
+  if (!driver) throw new Error(`Unknown MAIL_DRIVER "${name}"`);
+  // The file driver keeps every OTP and link in plain text on this machine
+  if (name === "file" && process.env.NODE_ENV === "production")
+    throw new Error("No mail driver configured for production: set RESEND_API_KEY, MAIL_USER or MAIL_DRIVER");
+  return driver;
+};
+
+/**
+ * Throw at startup when mail can't be delivered (see getDriver)
+ */
+export const assertMailDriver = () => {
+  getDriver();
+};
 
 /**
  * Send email
  * @param {string} to - Recipient email address
  * @param {string} subject - Email subject
  * @param {string} text - Email text content
+ * @param {string} [html] - Optional HTML content
  */
-export const sendEmail = async (to, subject, text) => {
+export const sendEmail = async (to, subject, text, html) => {
   try {
-    // Verify transporter is ready
-    await transporter.verify();
-    console.log("✅ Gmail SMTP ready to send emails");
-
-    const mailOptions = {
-      from: `"Auth System" <${process.env.MAIL_USER}>`,
-      to,
-      subject,
-      text,
-    };
-
-    const info = await transporter.sendMail(mailOptions);
-    console.log(`📧 Email sent: ${info.messageId}`);
+    const id = await getDriver().send({ to, subject, text, ...(html && { html }) });
+    console.log(`📧 Email sent: ${id}`);
   } catch (err) {
     console.error("❌ Error sending email:", err);
     throw err;
   }
 };
+
+/**
+ * Render a template from utils/emailTemplates.js and send it
+ * @param {string} to - Recipient email address
+ * @param {string} template - Template name, e.g. "signup_otp"
+ * @param {Object} data - Template variables
+ */
+export const sendTemplateEmail = async (to, template, data = {}) => {
+  const { subject, text, html } = renderTemplate(template, data);
+  await sendEmail(to, subject, text, html);
+};
+
+/**
+ * Messages written by the file driver, newest first (dev only)
+ * @param {number} limit
+ * @returns {Promise<Object[]>}
+ */
+export const listOutbox = async (limit = 50) => {
+  const files = await fs.readdir(outboxDir()).catch(() => []);
+  const latest = files.filter((f) => f.endsWith(".json")).sort().reverse().slice(0, limit);
+  const messages = await Promise.all(latest.map((f) => readOutboxMessage(f.replace(/\.json$/, ""))));
+  return messages.filter(Boolean);
+};
+
+/**
+ * A single outbox message by id, or null
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export const readOutboxMessage = async (id) => {
+  if (!/^[\w-]+$/.test(id)) return null; // no path traversal
+  try {
+    return JSON.parse(await fs.readFile(path.join(outboxDir(), `${id}.json`), "utf8"));
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,76 @@
+import { OTP_TTL_MS } from "./otp.js";
+
+// Every template renders to { subject, text, html }. The text part is what
+// older clients and the outbox preview show, so it must stand on its own.
+
+const APP_NAME = () => process.env.APP_NAME || "Marriage Planner";
+
+export const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (c) => ({
+    "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;",
+  })[c]);
+
+const layout = (title, body) => `<!doctype html>
+<html>
+  <body style="margin:0;padding:24px;background:#f6f4f1;font-family:Arial,Helvetica,sans-serif;color:#222">
+    <table role="presentation" width="100%" style="max-width:520px;margin:0 auto;background:#fff;border-radius:8px">
+      <tr><td style="padding:24px 28px 0;font-size:18px;font-weight:bold;color:#b0413e">${escapeHtml(APP_NAME())}</td></tr>
+      <tr><td style="padding:12px 28px 0;font-size:20px">${escapeHtml(title)}</td></tr>
+      <tr><td style="padding:12px 28px 28px;font-size:15px;line-height:1.5">${body}</td></tr>
+    </table>
+    <p style="text-align:center;font-size:12px;color:#888">This is an automated message from ${escapeHtml(APP_NAME())}.</p>
+  </body>
+</html>`;
+
+const minutes = (ttlMs = OTP_TTL_MS) => Math.round(ttlMs / 60000);
+
+// Shared shape of all "here is your code" mails
+const otpMail = (subject, intro) => ({ otp, ttlMs }) => ({
+  subject,
+  text: `${intro}\n\nYour code is: ${otp}\n\nIt expires in ${minutes(ttlMs)} minutes. If you didn't request it, you can ignore this email.`,
+  html: layout(subject, `
+    <p>${escapeHtml(intro)}</p>
+    <p style="font-size:28px;letter-spacing:6px;font-weight:bold;margin:20px 0">${escapeHtml(otp)}</p>
+    <p>It expires in ${minutes(ttlMs)} minutes. If you didn't request it, you can ignore this email.</p>`),
+});
+
+const templates = {
+  signup_otp: otpMail("Verify your email", "Welcome! Use the code below to finish creating your account."),
+  two_factor_otp: otpMail("Your sign-in code", "Someone (hopefully you) is signing in to your account."),
+  password_reset_otp: otpMail("Reset your password", "Use the code below to reset your password."),
+  email_change_otp: otpMail("Confirm your email", "Use the code below to confirm this email address for your account."),
+  recovery_otp: otpMail("Account recovery code", "Use the code below to recover access to your account."),
+  ownership_transfer_otp: otpMail("Confirm household ownership", "You've been asked to become the owner of a household. Its members will also see the events you already have. Use the code below to accept."),
+
+  magic_link: ({ link, ttlMs }) => ({
+    subject: "Your sign-in link",
+    text: `Tap the link below to sign in. It works once and expires in ${minutes(ttlMs)} minutes.\n\n${link}`,
+    html: layout("Your sign-in link", `
+      <p>Tap the button below to sign in. It works once and expires in ${minutes(ttlMs)} minutes.</p>
+      <p style="margin:24px 0"><a href="${escapeHtml(link)}" style="background:#b0413e;color:#fff;padding:12px 20px;border-radius:6px;text-decoration:none">Sign in</a></p>
+      <p style="font-size:12px;color:#666;word-break:break-all">${escapeHtml(link)}</p>`),
+  }),
+
+  // Generic notice (security alerts, account changes, household updates)
+  notification: ({ title, message, action_url, action_label = "Open" }) => ({
+    subject: title,
+    text: action_url ? `${message}\n\n${action_url}` : message,
+    html: layout(title, `
+      <p>${escapeHtml(message)}</p>
+      ${action_url ? `<p style="margin:24px 0"><a href="${escapeHtml(action_url)}" style="background:#b0413e;color:#fff;padding:12px 20px;border-radius:6px;text-decoration:none">${escapeHtml(action_label)}</a></p>` : ""}`),
+  }),
+};
+
+/**
+ * Render a named email template
+ * @param {String} name - one of the keys of `templates`
+ * @param {Object} data - template variables
+ * @returns {{subject: String, text: String, html: String}}
+ */
+export const renderTemplate = (name, data = {}) => {
+  const template = templates[name];
+  if (!template) throw new Error(`Unknown email template "${name}"`);
+  return template(data);
+};
+
+export const TEMPLATE_NAMES = Object.keys(templates);
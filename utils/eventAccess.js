@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+import Event from "../models/Event.js";
+import EventShare from "../models/EventShare.js";
+import { CAPABILITIES, EVENT_SHARE_LEVELS } from "./capabilities.js";
+
+/**
+ * What the user may do with one event: the workspace's capabilities when the
+ * event belongs to it, plus whatever an EventShare adds
+ * @param {Object} workspace - req.workspace
+ * @param {Object|null} share - EventShare for this event and user
+ * @param {ObjectId} eventOwnerId - event.user_id
+ * @returns {Object|null} workspace-like scope for can(), null without access
+ */
+export const eventScope = (workspace, share, eventOwnerId) => {
+  const inWorkspace = eventOwnerId.equals(workspace.owner_id);
+  if (!inWorkspace && !share) return null;
+
+  const base = inWorkspace
+    ? workspace
+    : { owner_id: eventOwnerId, permission: null, capabilities: EVENT_SHARE_LEVELS.read, own: false };
+  if (!share) return base;
+
+  const extra = EVENT_SHARE_LEVELS[share.permission] ?? EVENT_SHARE_LEVELS.read;
+  return {
+    ...base,
+    capabilities: Object.fromEntries(CAPABILITIES.map((c) => [c, !!(base.capabilities[c] || extra[c])])),
+    shared: share.permission,
+  };
+};
+
+/**
+ * Load an event from the selected workspace, or one shared with the user
+ * @param {import("express").Request} req - needs req.user and req.workspace
+ * @param {String} id - event id
+ * @returns {Promise<{event: Object, scope: Object}|null>}
+ */
+export const findAccessibleEvent = async (req, id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+
+  const event = await Event.findById(id);
+  if (!event) return null;
+
+  const share = await EventShare.findOne({ event_id: event._id, user_id: req.user._id });
+  const scope = eventScope(req.workspace, share, event.user_id);
+  return scope ? { event, scope } : null;
+};
+
+/**
+ * Collaborators on an event whose share level includes a capability
+ * @param {String|ObjectId} eventId
+ * @param {String} capability
+ * @returns {Promise<String[]>} user ids
+ */
+export const listEventSharesWith = async (eventId, capability) => {
+  const levels = Object.keys(EVENT_SHARE_LEVELS).filter((l) => EVENT_SHARE_LEVELS[l][capability]);
+  const shares = await EventShare.find({ event_id: eventId, permission: { $in: levels } }).select("user_id");
+  return shares.map((s) => s.user_id.toString());
+};
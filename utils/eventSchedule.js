@@ -0,0 +1,141 @@
+import mongoose from "mongoose";
+import { FUNCTION_TYPES } from "../models/Event.js";
+
+export const SCHEDULE_FIELDS = ["starts_at", "ends_at", "venue", "functions"];
+const VENUE_FIELDS = { name: 255, address: 500, city: 100, map_url: 1000 };
+const MAX_FUNCTIONS = 20;
+
+// undefined → not sent, null → cleared, false → invalid
+const parseDate = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === "") return null;
+  const date = new Date(value);
+  return isNaN(date) ? false : date;
+};
+
+const parseVenue = (venue, label) => {
+  if (venue === undefined || venue === null) return { venue: venue ?? null };
+  if (typeof venue !== "object" || Array.isArray(venue)) return { error: `${label} must be an object` };
+
+  const unknown = Object.keys(venue).filter((k) => !VENUE_FIELDS[k]);
+  if (unknown.length) return { error: `Unknown ${label} fields: ${unknown.join(", ")}` };
+
+  for (const [field, max] of Object.entries(VENUE_FIELDS)) {
+    const value = venue[field];
+    if (value !== undefined && value !== null && (typeof value !== "string" || value.length > max))
+      return { error: `${label}.${field} must be a string (max ${max})` };
+  }
+  return { venue: Object.fromEntries(Object.keys(VENUE_FIELDS).map((f) => [f, venue[f]?.trim() || null])) };
+};
+
+const checkRange = (starts_at, ends_at, label) =>
+  starts_at && ends_at && ends_at < starts_at ? `${label} ends_at must not be before starts_at` : null;
+
+// Running order; undated functions go last, in the order they were sent
+const byStart = (a, b) => {
+  if (!a.starts_at || !b.starts_at) return (a.starts_at ? 0 : 1) - (b.starts_at ? 0 : 1);
+  return a.starts_at - b.starts_at;
+};
+
+const parseFunction = (fn, index) => {
+  const label = `functions[${index}]`;
+  if (!fn || typeof fn !== "object" || Array.isArray(fn)) return { error: `${label} must be an object` };
+
+  if (fn._id !== undefined && !mongoose.isValidObjectId(fn._id))
+    return { error: `${label}._id must be a valid id` };
+
+  const type = fn.type ?? "other";
+  if (!FUNCTION_TYPES.includes(type))
+    return { error: `${label}.type must be one of: ${FUNCTION_TYPES.join(", ")}` };
+
+  // The type doubles as the name ("Haldi") when none is given
+  const name = fn.name ?? (type !== "other" ? type.charAt(0).toUpperCase() + type.slice(1) : undefined);
+  if (!name || typeof name !== "string" || name.length > 255)
+    return { error: `${label}.name is required and must be a string (max 255)` };
+
+  const starts_at = parseDate(fn.starts_at);
+  const ends_at = parseDate(fn.ends_at);
+  if (starts_at === false || ends_at === false) return { error: `${label} dates must be valid dates` };
+
+  const rangeError = checkRange(starts_at, ends_at, label);
+  if (rangeError) return { error: rangeError };
+
+  const { venue, error } = parseVenue(fn.venue, `${label}.venue`);
+  if (error) return { error };
+
+  if (fn.notes !== undefined && fn.notes !== null && typeof fn.notes !== "string")
+    return { error: `${label}.notes must be a string` };
+
+  return {
+    fn: {
+      ...(fn._id && { _id: fn._id }), // keep ids of existing functions on update
+      name: name.trim(),
+      type,
+      starts_at: starts_at ?? null,
+      ends_at: ends_at ?? null,
+      venue,
+      notes: fn.notes ?? null,
+    },
+  };
+};
+
+/**
+ * Validate the schedule part of an event request. Fields not sent keep their
+ * current value (on update). Only dates the client sent are stored; functions
+ * must fall inside the event's range when it has one (see eventSpan otherwise).
+ * @param {Object} body - { starts_at, ends_at, venue, functions }
+ * @param {Object} [current] - event being updated
+ * @returns {{schedule?: {starts_at: Date|null, ends_at: Date|null, venue: Object|null, functions: Object[]}, error?: String}}
+ */
+export const validateSchedule = (body, current = {}) => {
+  let starts_at = parseDate(body.starts_at);
+  let ends_at = parseDate(body.ends_at);
+  if (starts_at === false || ends_at === false)
+    return { error: "starts_at and ends_at must be valid dates" };
+
+  const { venue, error: venueError } = body.venue === undefined
+    ? { venue: current.venue ?? null }
+    : parseVenue(body.venue, "venue");
+  if (venueError) return { error: venueError };
+
+  let functions = current.functions ?? [];
+  if (body.functions !== undefined) {
+    if (body.functions !== null && !Array.isArray(body.functions))
+      return { error: "functions must be an array" };
+    if (body.functions?.length > MAX_FUNCTIONS)
+      return { error: `An event can have at most ${MAX_FUNCTIONS} functions` };
+
+    functions = [];
+    for (const [index, fn] of (body.functions ?? []).entries()) {
+      const parsed = parseFunction(fn, index);
+      if (parsed.error) return { error: parsed.error };
+      functions.push(parsed.fn);
+    }
+    functions.sort(byStart);
+  }
+
+  if (starts_at === undefined) starts_at = current.starts_at ?? null;
+  if (ends_at === undefined) ends_at = current.ends_at ?? null;
+
+  const outside = functions.find(
+    (f) => (starts_at && f.starts_at && f.starts_at < starts_at) || (ends_at && (f.ends_at ?? f.starts_at) > ends_at)
+  );
+  if (outside) return { error: `Function "${outside.name}" is outside the event's dates` };
+
+  const rangeError = checkRange(starts_at, ends_at, "Event");
+  if (rangeError) return { error: rangeError };
+
+  return { schedule: { starts_at, ends_at, venue, functions } };
+};
+
+/**
+ * Dates to show for an event: its own range, or else the span of its functions
+ * @param {Object} event
+ * @returns {{starts_at: Date|null, ends_at: Date|null}}
+ */
+export const eventSpan = (event) => {
+  const dated = (event.functions ?? []).flatMap((f) => [f.starts_at, f.ends_at]).filter(Boolean);
+  const first = dated.length ? new Date(Math.min(...dated)) : null;
+  const last = dated.length ? new Date(Math.max(...dated)) : null;
+  return { starts_at: event.starts_at ?? first, ends_at: event.ends_at ?? last };
+};
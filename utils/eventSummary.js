@@ -0,0 +1,117 @@
+import { escapeHtml } from "./emailTemplates.js";
+import { generateChallengeToken } from "./jwt.js";
+import { eventSpan } from "./eventSchedule.js";
+
+const STATUS_LABELS = { 0: "draft", 1: "active", 2: "completed" };
+
+/**
+ * Signed token for a public event link, valid until the link row expires
+ * @param {Object} link - EventShareLink document
+ * @returns {String}
+ */
+export const signEventLinkToken = (link) =>
+  generateChallengeToken(null, "event_link", Math.max(Math.ceil((link.expires_at - Date.now()) / 1000), 1), {
+    lid: link._id.toString(),
+  });
+
+/**
+ * What a public link shows: the schedule, the booking and its payments,
+ * without internal notes, contact details or who in the household did what
+ * @param {Object} event - Event (category_id populated)
+ * @param {Object[]} transactions - live (not deleted) transactions
+ * @returns {Object}
+ */
+export const buildEventSummary = (event, transactions) => {
+  const paid = transactions.reduce((sum, t) => sum + (Number(t.amount) || 0), 0);
+  const total = event.booking_total_value ?? null;
+
+  return {
+    event_name: event.event_name,
+    category: event.category_id?.name ?? null,
+    status: STATUS_LABELS[event.status] ?? null,
+    ...eventSpan(event),
+    venue: event.venue ?? null,
+    functions: (event.functions ?? []).map((f) => ({
+      name: f.name,
+      type: f.type,
+      starts_at: f.starts_at,
+      ends_at: f.ends_at,
+      venue: f.venue,
+    })),
+    booking_total_value: total,
+    amount_paid: paid,
+    amount_due: total === null ? null : Math.max(total - paid, 0),
+    payments: transactions.map((t) => ({
+      amount: t.amount,
+      payment_method: t.payment_method ?? null,
+      paid_at: t.createdAt,
+    })),
+    updated_at: event.updatedAt,
+  };
+};
+
+const money = (value) => (value === null || value === undefined ? "—" : `₹${Number(value).toLocaleString("en-IN")}`);
+const day = (date) => new Date(date).toDateString();
+const when = (starts_at, ends_at) =>
+  [starts_at, ends_at].filter(Boolean).map((d) => new Date(d).toLocaleString("en-IN", { dateStyle: "medium", timeStyle: "short" })).join(" – ");
+const where = (venue) => [venue?.name, venue?.city].filter(Boolean).join(", ");
+
+const page = (title, body) => `<!doctype html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)}</title>
+  </head>
+  <body style="margin:0;padding:24px;background:#f6f4f1;font-family:Arial,Helvetica,sans-serif;color:#222">
+    <div style="max-width:560px;margin:0 auto;background:#fff;border-radius:8px;padding:24px 28px">
+      <div style="font-size:18px;font-weight:bold;color:#b0413e">${escapeHtml(process.env.APP_NAME || "Marriage Planner")}</div>
+      ${body}
+    </div>
+  </body>
+</html>`;
+
+/**
+ * @param {Object} summary - from buildEventSummary
+ * @returns {String} HTML page
+ */
+export const renderEventSummaryHtml = (summary) => page(summary.event_name, `
+      <h1 style="font-size:22px;margin:12px 0 4px">${escapeHtml(summary.event_name)}</h1>
+      <p style="margin:0 0 16px;color:#666">${escapeHtml([summary.category, summary.status].filter(Boolean).join(" · "))}</p>
+      ${summary.starts_at || summary.venue ? `<p style="margin:0 0 16px">${escapeHtml([when(summary.starts_at, summary.ends_at), where(summary.venue)].filter(Boolean).join(" · "))}</p>` : ""}
+      ${summary.functions.length ? `
+      <table style="width:100%;border-collapse:collapse;font-size:14px;margin-bottom:16px">
+        ${summary.functions.map((f) => `<tr><td style="padding:4px 0;font-weight:bold">${escapeHtml(f.name)}</td><td>${escapeHtml(when(f.starts_at, f.ends_at))}</td><td>${escapeHtml(where(f.venue))}</td></tr>`).join("\n        ")}
+      </table>` : ""}
+      <table style="width:100%;border-collapse:collapse;font-size:15px">
+        <tr><td style="padding:6px 0">Total</td><td style="text-align:right">${money(summary.booking_total_value)}</td></tr>
+        <tr><td style="padding:6px 0">Paid</td><td style="text-align:right">${money(summary.amount_paid)}</td></tr>
+        <tr><td style="padding:6px 0;font-weight:bold">Due</td><td style="text-align:right;font-weight:bold">${money(summary.amount_due)}</td></tr>
+      </table>
+      ${summary.payments.length ? `
+      <h2 style="font-size:16px;margin:24px 0 8px">Payments</h2>
+      <table style="width:100%;border-collapse:collapse;font-size:14px">
+        ${summary.payments.map((p) => `<tr><td style="padding:4px 0">${escapeHtml(day(p.paid_at))}</td><td>${escapeHtml(p.payment_method ?? "")}</td><td style="text-align:right">${money(p.amount)}</td></tr>`).join("\n        ")}
+      </table>` : ""}
+      <p style="margin-top:24px;font-size:12px;color:#888">Last updated ${escapeHtml(day(summary.updated_at))}</p>`);
+
+/**
+ * PIN prompt for a protected link; submits back to the same URL
+ * @param {String} [error]
+ * @returns {String} HTML page
+ */
+export const renderPinFormHtml = (error) => page("PIN required", `
+      <p style="margin:16px 0">This summary is protected. Enter the PIN you were given.</p>
+      ${error ? `<p style="color:#b0413e">${escapeHtml(error)}</p>` : ""}
+      <form method="get">
+        <input type="hidden" name="format" value="html">
+        <input name="pin" inputmode="numeric" autocomplete="off" required style="font-size:18px;padding:8px;width:140px">
+        <button type="submit" style="font-size:16px;padding:8px 16px">View</button>
+      </form>`);
+
+/**
+ * @param {String} message
+ * @returns {String} HTML page
+ */
+export const renderMessageHtml = (message) => page(message, `<p style="margin:16px 0">${escapeHtml(message)}</p>`);
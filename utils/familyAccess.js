@@ -0,0 +1,105 @@
+import FamilyPermission from "../models/FamilyPermission.js";
+import { notifyUsers } from "./notify.js";
+
+export const ACCESS_EXPIRY_NOTICE_DAYS = Number(process.env.FAMILY_ACCESS_NOTICE_DAYS || 3);
+
+/**
+ * Validate the optional access window sent with a grant. A missing key keeps
+ * the current date, null (or "") clears it.
+ * @param {Object} body - { access_starts_at, access_expires_at }
+ * @param {Object} [current] - { starts_at, expires_at } of the grant being edited
+ * @returns {{window?: {starts_at: Date|null, expires_at: Date|null}, error?: String}}
+ */
+export const buildAccessWindow = ({ access_starts_at, access_expires_at } = {}, current = {}) => {
+  const parse = (value, fallback) => {
+    if (value === undefined) return fallback ?? null;
+    if (value === null || value === "") return null;
+    const date = new Date(value);
+    return isNaN(date) ? undefined : date;
+  };
+
+  const starts_at = parse(access_starts_at, current.starts_at);
+  const expires_at = parse(access_expires_at, current.expires_at);
+
+  if (starts_at === undefined || expires_at === undefined)
+    return { error: "access_starts_at and access_expires_at must be valid dates" };
+  if (access_expires_at && expires_at <= new Date())
+    return { error: "access_expires_at must be in the future" };
+  if (starts_at && expires_at && expires_at <= starts_at)
+    return { error: "access_expires_at must be after access_starts_at" };
+
+  return { window: { starts_at, expires_at } };
+};
+
+// Invitations and join codes keep the window as access_*; the grant they create uses starts_at/expires_at
+export const grantWindowOf = (source) => ({
+  starts_at: source.access_starts_at ?? null,
+  expires_at: source.access_expires_at ?? null,
+});
+
+/**
+ * Warn members and owners about grants ending within ACCESS_EXPIRY_NOTICE_DAYS (once per grant)
+ * @returns {Promise<Number>} number of grants notified
+ */
+export const notifyExpiringGrants = async () => {
+  const now = new Date();
+  const grants = await FamilyPermission.find({
+    expires_at: { $gt: now, $lte: new Date(now.getTime() + ACCESS_EXPIRY_NOTICE_DAYS * 24 * 60 * 60 * 1000) },
+    expiry_notified_at: null,
+  })
+    .populate("owner_id", "fullname")
+    .populate("member_id", "fullname");
+
+  for (const grant of grants) {
+    const { owner_id: owner, member_id: member } = grant;
+    const ends = grant.expires_at.toDateString();
+
+    if (owner && member) {
+      await notifyUsers([member._id], {
+        title: "Household access ending",
+        message: `Your access to ${owner.fullname}'s household ends on ${ends}.`,
+        data: { type: "family_access_expiring", owner_id: owner._id, expires_at: grant.expires_at, url: "/events" },
+      });
+      await notifyUsers([owner._id], {
+        title: "Member access ending",
+        message: `${member.fullname}'s access to your household ends on ${ends}.`,
+        data: { type: "family_access_expiring", member_id: member._id, expires_at: grant.expires_at, url: "/family" },
+      });
+    }
+
+    grant.expiry_notified_at = now;
+    await grant.save();
+  }
+
+  return grants.length;
+};
+
+/**
+ * Delete grants past their expiry date and tell both sides
+ * @returns {Promise<Number>} number of grants removed
+ */
+export const removeExpiredGrants = async () => {
+  const grants = await FamilyPermission.find({ expires_at: { $lte: new Date() } })
+    .populate("owner_id", "fullname")
+    .populate("member_id", "fullname");
+
+  for (const grant of grants) {
+    await grant.deleteOne();
+
+    const { owner_id: owner, member_id: member } = grant;
+    if (!owner || !member) continue;
+
+    await notifyUsers([member._id], {
+      title: "Household access ended",
+      message: `Your access to ${owner.fullname}'s household has ended.`,
+      data: { type: "family_access_expired", owner_id: owner._id, url: "/events" },
+    });
+    await notifyUsers([owner._id], {
+      title: "Member access ended",
+      message: `${member.fullname}'s access to your household has ended.`,
+      data: { type: "family_access_expired", member_id: member._id, url: "/family" },
+    });
+  }
+
+  return grants.length;
+};
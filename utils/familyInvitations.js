@@ -0,0 +1,178 @@
+import crypto from "crypto";
+import FamilyInvitation from "../models/FamilyInvitation.js";
+import FamilyPermission from "../models/FamilyPermission.js";
+import User from "../models/User.js";
+import { notifyUsers } from "./notify.js";
+import { sendTemplateEmail } from "./email.js";
+import { sendSms } from "./sms.js";
+import { mobileLookupValues } from "./identifier.js";
+import { resolveCapabilities } from "./capabilities.js";
+import { grantWindowOf } from "./familyAccess.js";
+import { OTP_RESEND_COOLDOWN_MS } from "./otp.js";
+
+export const INVITE_HOURLY_LIMIT = Number(process.env.FAMILY_INVITE_HOURLY_LIMIT || 10);
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Mark pending invitations past their expiry date as expired
+ * @returns {Promise<Number>} number of invitations expired
+ */
+export const expireFamilyInvitations = async () => {
+  const { modifiedCount } = await FamilyInvitation.updateMany(
+    { status: "pending", expires_at: { $lte: new Date() } },
+    { status: "expired" }
+  );
+  return modifiedCount;
+};
+
+/**
+ * Email/SMS invitations to people without an account go to addresses nobody
+ * has verified, so they are limited: one send per address per cooldown, and
+ * INVITE_HOURLY_LIMIT addresses per household per hour
+ * @param {ObjectId} ownerId - household
+ * @param {Object} filter - the pending invitation for this address
+ * @returns {Promise<{error: String, retry_after: Number}|null>} null when sending is allowed
+ */
+export const checkInviteRateLimit = async (ownerId, filter) => {
+  const now = Date.now();
+
+  // ⏳ Same address
+  const existing = await FamilyInvitation.findOne(filter).select("updatedAt");
+  const waitMs = existing ? existing.updatedAt.getTime() + OTP_RESEND_COOLDOWN_MS - now : 0;
+  if (waitMs > 0)
+    return { error: "Please wait before sending this invitation again", retry_after: Math.ceil(waitMs / 1000) };
+
+  // ⏳ Household cap
+  const recent = await FamilyInvitation.find({
+    owner_id: ownerId,
+    invitee_id: null,
+    updatedAt: { $gt: new Date(now - HOUR_MS) },
+  })
+    .sort({ updatedAt: -1 })
+    .limit(INVITE_HOURLY_LIMIT)
+    .select("updatedAt");
+  if (recent.length < INVITE_HOURLY_LIMIT) return null;
+
+  const oldest = recent[recent.length - 1].updatedAt.getTime();
+  return {
+    error: `You can invite up to ${INVITE_HOURLY_LIMIT} people without an account per hour`,
+    retry_after: Math.ceil((oldest + HOUR_MS - now) / 1000),
+  };
+};
+
+/**
+ * Tell the invitee about a new invitation: in-app, push and email for
+ * registered users, an email or SMS asking to sign up for everyone else
+ * @param {Object} invitation - FamilyInvitation document
+ * @param {Object} owner - inviting User
+ * @param {Object|null} invitee - invited User, null when not registered yet
+ */
+export const sendInvitationNotice = async (invitation, owner, invitee) => {
+  if (!invitee) {
+    const channel = invitation.email ? "email address" : "mobile number";
+    const message = `${owner.fullname} invited you to plan together on ${process.env.APP_NAME || "Marriage Planner"}. Sign up with this ${channel} within ${Math.ceil((invitation.expires_at - Date.now()) / 86400000)} days and you'll get ${invitation.permission} access to their household automatically.`;
+
+    if (invitation.email) {
+      await sendTemplateEmail(invitation.email, "notification", {
+        title: "You're invited",
+        message,
+        ...(process.env.APP_URL && { action_url: process.env.APP_URL, action_label: "Sign up" }),
+      });
+    } else {
+      await sendSms(invitation.mobile, process.env.APP_URL ? `${message} ${process.env.APP_URL}` : message);
+    }
+    return;
+  }
+
+  const title = "Household invitation";
+  const message = `${owner.fullname} invited you to their household with ${invitation.permission} access. Open the app to accept or decline.`;
+
+  await notifyUsers([invitee._id], {
+    title,
+    message,
+    data: { invitation_id: invitation._id, url: "/family/invitations" },
+  });
+
+  if (invitee.email) {
+    sendTemplateEmail(invitee.email, "notification", { title, message })
+      .catch((err) => console.error("❌ Invitation email failed:", err));
+  }
+};
+
+/**
+ * Accept open invitations addressed to the email/mobile a new user verified
+ * at signup. Contacts typed in but not verified are ignored: anyone could
+ * enter a relative's number and pick up invitations meant for them.
+ * @param {Object} user - newly created User
+ * @param {Object} verified - { email: Boolean, mobile: Boolean }
+ * @returns {Promise<Number>} number of households joined
+ */
+export const attachPendingInvitations = async (user, verified = {}) => {
+  const contacts = [
+    ...(verified.email && user.email ? [{ email: user.email }] : []),
+    ...(verified.mobile && user.mobile ? [{ mobile: { $in: mobileLookupValues(user.mobile) } }] : []),
+  ];
+  if (!contacts.length) return 0;
+
+  const invitations = await FamilyInvitation.find({
+    invitee_id: null,
+    status: "pending",
+    expires_at: { $gt: new Date() },
+    $or: contacts,
+  }).sort({ createdAt: 1 });
+
+  let joined = 0;
+  for (const invitation of invitations) {
+    invitation.invitee_id = user._id;
+
+    const owner = await User.findById(invitation.owner_id);
+    if (owner && !owner.isDeleted()) {
+      // An earlier invitation from the same owner wins
+      if (!(await FamilyPermission.exists({ owner_id: owner._id, member_id: user._id }))) {
+        await FamilyPermission.create({
+          owner_id: owner._id,
+          member_id: user._id,
+          permission: invitation.permission,
+          capabilities: resolveCapabilities(invitation),
+          ...grantWindowOf(invitation),
+        });
+        joined += 1;
+      }
+      invitation.status = "accepted";
+      invitation.responded_at = new Date();
+
+      await notifyUsers([owner._id], {
+        title: "Invitation accepted",
+        message: `${user.fullname} signed up and now has ${invitation.permission} access.`,
+        data: { invitation_id: invitation._id, url: "/family" },
+      });
+    }
+
+    await invitation.save();
+  }
+
+  return joined;
+};
+
+// No 0/O or 1/I/L, so codes survive being read out or typed from a screen
+const JOIN_CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const JOIN_CODE_LENGTH = 8;
+
+/**
+ * Random household join code, e.g. "K7MQ2XRA"
+ * @returns {String}
+ */
+export const generateJoinCode = () =>
+  Array.from({ length: JOIN_CODE_LENGTH }, () => JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)]).join("");
+
+// Accept codes typed in lower case or with spaces/dashes
+export const normalizeJoinCode = (code) => String(code ?? "").toUpperCase().replace(/[\s-]/g, "");
+
+/**
+ * What the app encodes in the QR image: a join link when APP_URL is set,
+ * otherwise the bare code
+ * @param {String} code
+ * @returns {String}
+ */
+export const buildJoinPayload = (code) =>
+  process.env.APP_URL ? `${process.env.APP_URL.replace(/\/$/, "")}/join?code=${code}` : code;
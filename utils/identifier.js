@@ -0,0 +1,58 @@
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const isEmail = (value) => EMAIL_REGEX.test(String(value ?? "").trim());
+
+/**
+ * Normalize a mobile number to E.164 ("+919876543210").
+ * Bare 10-digit numbers get SMS_DEFAULT_COUNTRY_CODE (91 by default).
+ * @param {String} value
+ * @returns {String|null} null when it doesn't look like a phone number
+ */
+export const normalizeMobile = (value) => {
+  if (value === undefined || value === null) return null;
+
+  let raw = String(value).trim().replace(/[\s\-().]/g, "");
+  if (raw.startsWith("00")) raw = `+${raw.slice(2)}`;
+  if (!/^\+?\d+$/.test(raw)) return null;
+
+  const countryCode = process.env.SMS_DEFAULT_COUNTRY_CODE || "91";
+  let digits = raw.replace("+", "");
+
+  if (!raw.startsWith("+")) {
+    if (digits.length === 11 && digits.startsWith("0")) digits = digits.slice(1); // trunk prefix
+    if (digits.length === 10) digits = `${countryCode}${digits}`;
+  }
+
+  return digits.length >= 11 && digits.length <= 15 ? `+${digits}` : null;
+};
+
+/**
+ * Values a mobile number may be stored under. Older accounts saved the
+ * number exactly as typed (usually the 10-digit national number).
+ * @param {String} e164 - normalized number
+ * @returns {String[]}
+ */
+export const mobileLookupValues = (e164) => {
+  const countryCode = process.env.SMS_DEFAULT_COUNTRY_CODE || "91";
+  const values = [e164];
+  if (e164.startsWith(`+${countryCode}`)) values.push(e164.slice(countryCode.length + 1));
+  return values;
+};
+
+/**
+ * Classify a login identifier as an email or a mobile number
+ * @param {String} identifier
+ * @returns {{type: "email"|"mobile", value: String, query: Object}|null}
+ */
+export const parseIdentifier = (identifier) => {
+  if (!identifier || typeof identifier !== "string") return null;
+
+  if (isEmail(identifier)) {
+    const value = identifier.trim();
+    return { type: "email", value, query: { email: value } };
+  }
+
+  const mobile = normalizeMobile(identifier);
+  if (!mobile) return null;
+  return { type: "mobile", value: mobile, query: { mobile: { $in: mobileLookupValues(mobile) } } };
+};
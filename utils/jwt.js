@@ -1,8 +1,52 @@
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
 
-const JWT_SECRET = process.env.JWT_SECRET || "your_secret_here";
-const EXPIRES_IN = "30d";
+// Access tokens are short-lived; long-lived access is granted through the
+// rotating refresh token stored (hashed) on the UserToken session row.
+export const ACCESS_TOKEN_TTL_SECONDS = 15 * 60; // 15 minutes
+export const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
 
-export const generateToken = (user) => {
-    return jwt.sign({ id: user._id }, JWT_SECRET, { expiresIn: EXPIRES_IN });
+// Read lazily so dotenv has loaded by the time we sign/verify
+const getSecret = () => process.env.JWT_SECRET || "your_secret_here";
+
+/**
+ * Sign an access token bound to a session (UserToken row)
+ * @param {Object} user - User document
+ * @param {String|ObjectId} sessionId - UserToken _id
+ * @returns {String}
+ */
+export const generateToken = (user, sessionId) => {
+    return jwt.sign({ id: user._id, sid: sessionId }, getSecret(), {
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    });
+};
+
+export const verifyToken = (token) => jwt.verify(token, getSecret());
+
+// Opaque refresh token handed to the client; only its hash is stored
+export const generateRefreshToken = () => crypto.randomBytes(48).toString("hex");
+
+export const hashToken = (token) =>
+    crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Short-lived token proving an intermediate step (e.g. password checked, 2FA pending).
+ * It carries no `sid`, so authMiddleware never accepts it as an access token.
+ * @param {Object|null} user - User document (null when the user isn't known yet)
+ * @param {String} purpose - e.g. "2fa"
+ * @param {Number} expiresIn - seconds
+ * @param {Object} extra - additional claims
+ * @returns {String}
+ */
+export const generateChallengeToken = (user, purpose, expiresIn = 10 * 60, extra = {}) =>
+    jwt.sign({ ...extra, id: user?._id ?? null, purpose }, getSecret(), { expiresIn });
+
+// Returns the decoded payload, or null if invalid/expired/wrong purpose
+export const verifyChallengeToken = (token, purpose) => {
+    try {
+        const decoded = jwt.verify(token, getSecret());
+        return decoded.purpose === purpose ? decoded : null;
+    } catch {
+        return null;
+    }
 };
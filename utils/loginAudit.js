@@ -0,0 +1,67 @@
+import crypto from "crypto";
+import LoginHistory from "../models/LoginHistory.js";
+import User from "../models/User.js";
+import { getClientInfo } from "./requestInfo.js";
+import { sendTemplateEmail } from "./email.js";
+import { sendSms } from "./sms.js";
+
+// IPs change all the time on mobile data, so a "device" is the browser/app + its name
+const deviceHash = (userAgent, deviceName) =>
+  crypto.createHash("sha256").update(`${userAgent ?? ""}|${deviceName ?? ""}`).digest("hex");
+
+const sendNewDeviceAlert = async (user, { ip, user_agent, device_name }) => {
+  const device = device_name || user_agent || "an unknown device";
+  const message = `New login to your account from ${device}${ip ? ` (IP ${ip})` : ""} at ${new Date().toLocaleString()}. If this wasn't you, change your password and log out other devices.`;
+
+  if (user.email) await sendTemplateEmail(user.email, "notification", { title: "New login to your account", message });
+  else if (user.mobile) await sendSms(user.mobile, message);
+};
+
+/**
+ * Record a login attempt. Successful logins also update the user's login
+ * counters and send an alert when the device hasn't been seen before.
+ * @param {import("express").Request} req
+ * @param {Object} params
+ * @param {Object|null} params.user - User document, null if the identifier is unknown
+ * @param {String} [params.identifier] - what the user typed
+ * @param {"success"|"bad_password"|"locked"|"2fa_pending"|"2fa_failed"|"passkey_failed"|"deleted"|"unknown_user"} params.status
+ * @param {String} [params.method]
+ */
+export const recordLogin = async (req, { user, identifier, status, method = "password" }) => {
+  try {
+    const client = getClientInfo(req);
+    const hash = deviceHash(client.user_agent, client.device_name);
+
+    let newDevice = false;
+    if (user && status === "success") {
+      const [seenBefore, hasHistory] = await Promise.all([
+        LoginHistory.exists({ user_id: user._id, status: "success", device_hash: hash }),
+        LoginHistory.exists({ user_id: user._id, status: "success" }),
+      ]);
+      // The very first login is not "new", there's nothing to compare with
+      newDevice = !seenBefore && !!hasHistory;
+
+      await User.updateOne(
+        { _id: user._id },
+        { $inc: { login_count: 1 }, $set: { last_login_at: new Date() } }
+      );
+    }
+
+    await LoginHistory.create({
+      user_id: user?._id ?? null,
+      identifier: identifier ?? user?.email ?? user?.mobile ?? null,
+      status,
+      method,
+      ...client,
+      device_hash: hash,
+      new_device: newDevice,
+    });
+
+    if (newDevice) {
+      sendNewDeviceAlert(user, client).catch((err) => console.error("❌ New device alert failed:", err));
+    }
+  } catch (err) {
+    // Auditing must never break login
+    console.error("❌ Login audit error:", err);
+  }
+};
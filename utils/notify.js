@@ -0,0 +1,32 @@
+import NotificationModel from "../models/Notification.js";
+import { oneSignalClient } from "./onesignal.js";
+
+/**
+ * Store an in-app notification for each user and push it through OneSignal.
+ * Push failures are logged, never thrown — the in-app copy is the source of truth.
+ * @param {Array<String|ObjectId>} userIds - Recipients
+ * @param {Object} params
+ * @param {String} params.title
+ * @param {String} params.message
+ * @param {Object} [params.data] - Custom data for the app (e.g. { url })
+ */
+export const notifyUsers = async (userIds, { title, message, data = {} }) => {
+  const recipients = [...new Set(userIds.filter(Boolean).map(String))];
+  if (!recipients.length) return;
+
+  await NotificationModel.insertMany(recipients.map((uid) => ({ user_id: uid, title, message })));
+
+  try {
+    const response = await oneSignalClient.createNotification({
+      app_id: process.env.ONESIGNAL_APP_ID,
+      headings: { en: title },
+      contents: { en: message },
+      include_aliases: { external_id: recipients },
+      target_channel: "push",
+      data: { ...data, timestamp: new Date().toISOString() },
+    });
+    if (response.errors) console.error("❌ OneSignal Errors:", response.errors);
+  } catch (err) {
+    console.error("❌ OneSignal API error:", err);
+  }
+};
@@ -0,0 +1,102 @@
+import crypto from "crypto";
+import bcrypt from "bcrypt";
+import AccountRecoveryOtp from "../models/AccountRecoveryOtp.js";
+
+export const OTP_TTL_MS = 10 * 60 * 1000; // 10 minutes
+export const OTP_RESEND_COOLDOWN_MS = 60 * 1000; // 1 minute between sends
+export const OTP_MAX_ATTEMPTS = 5;
+
+/**
+ * Create a new one-time code for identifier + purpose.
+ * Older unused codes for the same pair are invalidated.
+ * @param {Object} params
+ * @param {String} params.identifier - email or normalized mobile
+ * @param {"email"|"mobile"} params.method
+ * @param {"recovery"|"forget_password"|"2fa"|"signup"|"change_email"|"change_mobile"|"magic_link"|"ownership_transfer"} params.purpose
+ * @param {Object} [params.extra_data]
+ * @param {Number} [params.ttlMs]
+ * @param {String} [params.code] - use this secret instead of a 6-digit code (e.g. a link nonce)
+ * @returns {Promise<{otp?: String, record?: Object, error?: String, retry_after?: Number}>}
+ */
+export const issueOtp = async ({ identifier, method, purpose, extra_data, ttlMs = OTP_TTL_MS, code }) => {
+  // ⏳ Resend cooldown
+  const latest = await AccountRecoveryOtp.findOne({ identifier, purpose }).sort({ createdAt: -1 });
+  if (latest) {
+    const waitMs = latest.createdAt.getTime() + OTP_RESEND_COOLDOWN_MS - Date.now();
+    if (waitMs > 0) {
+      return {
+        error: "Please wait before requesting another code",
+        retry_after: Math.ceil(waitMs / 1000),
+      };
+    }
+  }
+
+  await AccountRecoveryOtp.updateMany(
+    { identifier, purpose, is_verified: false, invalidated_at: null },
+    { invalidated_at: new Date() }
+  );
+
+  const otp = code ?? crypto.randomInt(100000, 1000000).toString();
+  const record = await AccountRecoveryOtp.create({
+    identifier,
+    otp_hash: await bcrypt.hash(otp, 10),
+    method,
+    purpose,
+    extra_data,
+    expires_at: new Date(Date.now() + ttlMs),
+  });
+
+  return { otp, record };
+};
+
+/**
+ * Check a code against the latest active record and consume it on success.
+ * Every guess claims an attempt atomically before the hash is compared, so
+ * parallel requests can't get more than OTP_MAX_ATTEMPTS tries between them;
+ * the record is invalidated once they are used up.
+ * @param {Object} params
+ * @param {String|String[]} params.identifier - one or more identifiers the code may have been sent to
+ * @param {String} params.purpose
+ * @param {String} params.otp
+ * @param {String} [params.method]
+ * @param {Object} [params.extra] - extra_data values the record must carry (e.g. { user_id })
+ * @returns {Promise<{record?: Object, error?: String, status?: Number}>}
+ */
+export const verifyOtp = async ({ identifier, purpose, otp, method, extra = {} }) => {
+  if (!otp) return { error: "Invalid or expired OTP", status: 400 };
+
+  const filter = {
+    identifier: { $in: [].concat(identifier) },
+    purpose,
+    is_verified: false,
+    invalidated_at: null,
+    expires_at: { $gt: new Date() },
+  };
+  if (method) filter.method = method;
+  for (const [key, value] of Object.entries(extra)) filter[`extra_data.${key}`] = value;
+
+  // 🔒 Claim one attempt before comparing
+  const record = await AccountRecoveryOtp.findOneAndUpdate(
+    { ...filter, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true, sort: { createdAt: -1 } }
+  );
+  if (!record) return { error: "Invalid or expired OTP", status: 400 };
+
+  if (!(await record.checkOtp(otp))) {
+    if (record.attempts < OTP_MAX_ATTEMPTS) return { error: "Invalid or expired OTP", status: 400 };
+
+    await AccountRecoveryOtp.updateOne({ _id: record._id, invalidated_at: null }, { invalidated_at: new Date() });
+    return { error: "Too many incorrect attempts, please request a new code", status: 429 };
+  }
+
+  // ✅ Only one request can mark the code used
+  const { modifiedCount } = await AccountRecoveryOtp.updateOne(
+    { _id: record._id, is_verified: false, invalidated_at: null },
+    { is_verified: true }
+  );
+  if (!modifiedCount) return { error: "Invalid or expired OTP", status: 400 };
+
+  record.is_verified = true;
+  return { record };
+};
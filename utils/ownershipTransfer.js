@@ -0,0 +1,124 @@
+import mongoose from "mongoose";
+import Event from "../models/Event.js";
+import FamilyPermission from "../models/FamilyPermission.js";
+import FamilyInvitation from "../models/FamilyInvitation.js";
+import FamilyJoinCode from "../models/FamilyJoinCode.js";
+import EventShare from "../models/EventShare.js";
+import EventShareLink from "../models/EventShareLink.js";
+import User from "../models/User.js";
+import OwnershipTransfer from "../models/OwnershipTransfer.js";
+import { resolveCapabilities } from "./capabilities.js";
+
+let transactionSupport;
+
+/**
+ * Transfers run in a multi-document transaction, which needs MongoDB as a
+ * replica set (a single-node one is enough) or a sharded cluster; a
+ * standalone mongod rejects it. Checked once per process.
+ * @returns {Promise<Boolean>}
+ */
+export const supportsTransactions = () => {
+  transactionSupport ??= mongoose.connection.asPromise()
+    .then((conn) => conn.db.admin().command({ hello: 1 }))
+    .then((hello) => !!hello.setName || hello.msg === "isdbgrid")
+    .catch((err) => {
+      transactionSupport = undefined; // ask again next time
+      console.error("Transaction support check failed:", err);
+      return false;
+    });
+  return transactionSupport;
+};
+
+/**
+ * Mark pending transfers past their expiry date as expired
+ * @returns {Promise<Number>} number of transfers expired
+ */
+export const expireOwnershipTransfers = async () => {
+  const { modifiedCount } = await OwnershipTransfer.updateMany(
+    { status: "pending", expires_at: { $lte: new Date() } },
+    { status: "expired" }
+  );
+  return modifiedCount;
+};
+
+/**
+ * Move a household to a new owner in one transaction: events, members,
+ * pending invitations, join codes and saved workspace selections follow;
+ * the previous owner becomes a member with the grant chosen on the transfer.
+ * Requires transaction support (see supportsTransactions).
+ * @param {Object} transfer - OwnershipTransfer document (pending)
+ * @returns {Promise<{events: Number, members: Number}|null>} null when the transfer was no longer pending
+ */
+export const completeOwnershipTransfer = async (transfer) => {
+  const fromId = transfer.owner_id;
+  const toId = transfer.new_owner_id;
+  const session = await mongoose.startSession();
+
+  try {
+    let result = null;
+    await session.withTransaction(async () => {
+      // Claim the transfer first; a concurrent confirm finds it completed and aborts
+      const claimed = await OwnershipTransfer.findOneAndUpdate(
+        { _id: transfer._id, status: "pending" },
+        { status: "completed", completed_at: new Date() },
+        { new: true, session }
+      );
+      if (!claimed) {
+        await session.abortTransaction();
+        return;
+      }
+
+      // updateMany skips the soft-delete find hook, so archived events move too
+      const { modifiedCount: events } = await Event.updateMany(
+        { user_id: fromId },
+        { user_id: toId },
+        { session }
+      );
+
+      await EventShare.updateMany({ owner_id: fromId }, { owner_id: toId }, { session });
+      await EventShareLink.updateMany({ owner_id: fromId }, { owner_id: toId }, { session });
+      // Owning the household covers what was shared with the new owner
+      await EventShare.deleteMany({ owner_id: toId, user_id: toId }, { session });
+
+      // The new owner no longer needs a membership in their own household
+      await FamilyPermission.deleteOne({ owner_id: fromId, member_id: toId }, { session });
+
+      // Members join the new owner's household; an existing grant there wins
+      const members = await FamilyPermission.find({ owner_id: fromId }).session(session);
+      for (const perm of members) {
+        const exists = await FamilyPermission.exists({ owner_id: toId, member_id: perm.member_id }).session(session);
+        if (exists) await perm.deleteOne({ session });
+        else await FamilyPermission.updateOne({ _id: perm._id }, { owner_id: toId }, { session });
+      }
+
+      await FamilyPermission.findOneAndUpdate(
+        { owner_id: toId, member_id: fromId },
+        {
+          permission: transfer.previous_owner_permission,
+          capabilities: resolveCapabilities({
+            permission: transfer.previous_owner_permission,
+            capabilities: transfer.previous_owner_capabilities,
+          }),
+          starts_at: null,
+          expires_at: null,
+        },
+        { upsert: true, session }
+      );
+
+      await FamilyInvitation.updateMany(
+        { owner_id: fromId, status: "pending" },
+        { owner_id: toId },
+        { session }
+      );
+      await FamilyJoinCode.updateMany({ owner_id: fromId, revoked_at: null }, { owner_id: toId }, { session });
+
+      await User.updateMany({ active_workspace_id: fromId }, { active_workspace_id: toId }, { session });
+
+      result = { events, members: members.length };
+    });
+
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
@@ -0,0 +1,54 @@
+import { verifyRegistrationResponse, verifyAuthenticationResponse } from "@simplewebauthn/server";
+
+// Relying party settings; the origin list must match the web/app origins exactly
+export const rp = () => ({
+  id: process.env.WEBAUTHN_RP_ID || "localhost",
+  name: process.env.WEBAUTHN_RP_NAME || "Marriage Planner",
+  origins: (process.env.WEBAUTHN_ORIGIN || "http://localhost:3000").split(",").map((o) => o.trim()),
+});
+
+/**
+ * Credential in the shape @simplewebauthn expects, from a stored Passkey
+ * @param {Object} passkey - Passkey document
+ * @returns {Object}
+ */
+export const toCredential = (passkey) => ({
+  id: passkey.credential_id,
+  publicKey: new Uint8Array(passkey.public_key),
+  counter: passkey.counter,
+  transports: passkey.transports,
+});
+
+/**
+ * Check a registration response against the challenge we issued
+ * @param {Object} response - credential JSON from navigator.credentials.create()
+ * @param {String} challenge
+ * @returns {Promise<{verified: Boolean, registrationInfo?: Object}>} throws on malformed responses
+ */
+export const verifyPasskeyRegistration = (response, challenge) =>
+  verifyRegistrationResponse({
+    response,
+    expectedChallenge: challenge,
+    expectedOrigin: rp().origins,
+    expectedRPID: rp().id,
+    requireUserVerification: false,
+  });
+
+/**
+ * Check a login assertion. User verification (PIN/biometric) is not required
+ * here; callers read authenticationInfo.userVerified to decide whether the
+ * passkey also counts as the second factor.
+ * @param {Object} response - credential JSON from navigator.credentials.get()
+ * @param {String} challenge
+ * @param {Object} passkey - stored Passkey
+ * @returns {Promise<{verified: Boolean, authenticationInfo?: Object}>} throws on malformed responses
+ */
+export const verifyPasskeyAuthentication = (response, challenge, passkey) =>
+  verifyAuthenticationResponse({
+    response,
+    expectedChallenge: challenge,
+    expectedOrigin: rp().origins,
+    expectedRPID: rp().id,
+    credential: toCredential(passkey),
+    requireUserVerification: false,
+  });
@@ -0,0 +1,119 @@
+import bcrypt from "bcrypt";
+import COMMON_PASSWORDS from "./commonPasswords.js";
+
+// Policy is configurable per deployment; defaults follow NIST 800-63B
+// (length over complexity) with one digit and one letter required.
+const flag = (name, fallback) =>
+  process.env[name] === undefined ? fallback : process.env[name] === "true";
+
+export const getPasswordPolicy = () => ({
+  min_length: Number(process.env.PASSWORD_MIN_LENGTH) || 8,
+  max_length: Number(process.env.PASSWORD_MAX_LENGTH) || 128,
+  require_lowercase: flag("PASSWORD_REQUIRE_LOWERCASE", false),
+  require_uppercase: flag("PASSWORD_REQUIRE_UPPERCASE", false),
+  require_letter: flag("PASSWORD_REQUIRE_LETTER", true),
+  require_digit: flag("PASSWORD_REQUIRE_DIGIT", true),
+  require_symbol: flag("PASSWORD_REQUIRE_SYMBOL", false),
+  history: Number(process.env.PASSWORD_HISTORY_COUNT ?? 5),
+});
+
+// "Password123!" → "password", "aaaaaa1" → "aaaaaa"
+const baseWord = (password) => password.toLowerCase().replace(/[\d\W_]+$/, "");
+
+const isCommon = (password) => {
+  const base = baseWord(password);
+  return COMMON_PASSWORDS.has(password.toLowerCase()) || COMMON_PASSWORDS.has(base) || /^(.)\1+$/.test(base);
+};
+
+// Personal details a password must not equal or be built from
+const personalTokens = ({ email, mobile, fullname } = {}) => {
+  const tokens = [];
+  if (email) tokens.push(email.toLowerCase(), email.split("@")[0].toLowerCase());
+  if (mobile) tokens.push(String(mobile).replace(/\D/g, "").slice(-10));
+  if (fullname) {
+    tokens.push(fullname.toLowerCase().replace(/\s+/g, ""));
+    tokens.push(...fullname.toLowerCase().split(/\s+/));
+  }
+  return tokens.filter((t) => t.length >= 3);
+};
+
+/**
+ * Check a new password against the policy
+ * @param {String} password
+ * @param {Object} context - { email, mobile, fullname } of the account
+ * @returns {{code: String, message: String}|null} first violation, or null when acceptable
+ */
+export const validatePassword = (password, context = {}) => {
+  const policy = getPasswordPolicy();
+
+  if (typeof password !== "string" || !password)
+    return { code: "PASSWORD_REQUIRED", message: "Password is required" };
+
+  if (password.length < policy.min_length)
+    return { code: "PASSWORD_TOO_SHORT", message: `Password must be at least ${policy.min_length} characters` };
+
+  if (password.length > policy.max_length)
+    return { code: "PASSWORD_TOO_LONG", message: `Password must be at most ${policy.max_length} characters` };
+
+  if (policy.require_lowercase && !/[a-z]/.test(password))
+    return { code: "PASSWORD_NO_LOWERCASE", message: "Password must contain a lowercase letter" };
+
+  if (policy.require_uppercase && !/[A-Z]/.test(password))
+    return { code: "PASSWORD_NO_UPPERCASE", message: "Password must contain an uppercase letter" };
+
+  if (policy.require_letter && !/\p{L}/u.test(password))
+    return { code: "PASSWORD_NO_LETTER", message: "Password must contain a letter" };
+
+  if (policy.require_digit && !/\d/.test(password))
+    return { code: "PASSWORD_NO_DIGIT", message: "Password must contain a number" };
+
+  if (policy.require_symbol && !/[^\p{L}\d]/u.test(password))
+    return { code: "PASSWORD_NO_SYMBOL", message: "Password must contain a symbol" };
+
+  const lower = password.toLowerCase();
+  const base = baseWord(password);
+  if (personalTokens(context).some((t) => lower === t || base === t || (t.length >= 5 && lower.includes(t))))
+    return { code: "PASSWORD_CONTAINS_PERSONAL_INFO", message: "Password must not be your name, email or mobile" };
+
+  if (isCommon(password))
+    return { code: "PASSWORD_TOO_COMMON", message: "This password is too common, please choose another" };
+
+  return null;
+};
+
+/**
+ * Whether the password matches the current one or one of the recent ones
+ * @param {Object} user - User document with `password_history` selected
+ * @param {String} password
+ * @returns {Promise<Boolean>}
+ */
+export const isPasswordReused = async (user, password) => {
+  const { history } = getPasswordPolicy();
+  if (history <= 0) return false;
+
+  const hashes = [user.password, ...(user.password_history ?? []).slice(-history)].filter(Boolean);
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) return true;
+  }
+  return false;
+};
+
+/**
+ * Hash and set a new password, keeping the previous hash in the history
+ * @param {Object} user - User document with `password_history` selected
+ * @param {String} password
+ */
+export const setPassword = async (user, password) => {
+  const { history } = getPasswordPolicy();
+  if (user.password && history > 0) {
+    user.password_history = [...(user.password_history ?? []), user.password].slice(-history);
+  }
+  user.password = await bcrypt.hash(password, 10);
+  user.password_changed_at = new Date();
+};
+
+// Error code for reuse, shared by the reset / change endpoints
+export const PASSWORD_REUSED = {
+  code: "PASSWORD_REUSED",
+  message: "You have used this password recently, please choose another",
+};
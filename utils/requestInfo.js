@@ -0,0 +1,15 @@
+/**
+ * Extract client details used to label sessions and audit logins
+ * @param {import("express").Request} req
+ * @returns {{ip: String|null, user_agent: String|null, device_name: String|null}}
+ */
+export const getClientInfo = (req) => {
+  // X-Forwarded-For is only honoured through the "trust proxy" setting (see index.js)
+  const ip = req.ip ?? req.socket?.remoteAddress;
+
+  return {
+    ip: ip || null,
+    user_agent: req.headers["user-agent"] || null,
+    device_name: req.headers["x-device-name"] || req.body?.device_name || null,
+  };
+};
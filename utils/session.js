@@ -0,0 +1,197 @@
+import UserToken from "../models/UserToken.js";
+import {
+  generateToken,
+  generateRefreshToken,
+  generateChallengeToken,
+  hashToken,
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_MS,
+} from "./jwt.js";
+import { issueOtp } from "./otp.js";
+import { sendTemplateEmail } from "./email.js";
+import { sendSmsOtp } from "./sms.js";
+import { getClientInfo } from "./requestInfo.js";
+import { getEffectiveAccess } from "./checkAccess.js";
+
+// Avoid a write on every request; last_seen_at only needs minute precision
+const LAST_SEEN_THROTTLE_MS = 60 * 1000;
+
+const buildTokenPayload = (user, session, refreshToken) => ({
+  token: generateToken(user, session._id),
+  expires_in: ACCESS_TOKEN_TTL_SECONDS,
+  refresh_token: refreshToken,
+  refresh_expires_in: Math.floor(REFRESH_TOKEN_TTL_MS / 1000),
+});
+
+const applyClientInfo = (session, req) => {
+  const { ip, user_agent, device_name } = getClientInfo(req);
+  if (ip) session.ip = ip;
+  if (user_agent) session.user_agent = user_agent;
+  if (device_name) session.device_name = device_name;
+  session.last_seen_at = new Date();
+};
+
+/**
+ * Start a new session for a user and issue an access + refresh token pair
+ * @param {Object} user - User document
+ * @param {import("express").Request} req - Incoming request (device details)
+ * @returns {Promise<{token: String, expires_in: Number, refresh_token: String, refresh_expires_in: Number}>}
+ */
+export const createSession = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = await UserToken.create({
+    user_id: user._id,
+    token: hashToken(refreshToken),
+    expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    ...getClientInfo(req),
+    last_seen_at: new Date(),
+  });
+
+  return buildTokenPayload(user, session, refreshToken);
+};
+
+/**
+ * Start a session and build the payload every login method returns
+ * (password, 2FA, magic link, passkey)
+ * @param {Object} user - User document
+ * @param {import("express").Request} req
+ * @returns {Promise<Object>}
+ */
+export const buildLoginResponse = async (user, req) => {
+  const tokens = await createSession(user, req);
+  const access = await getEffectiveAccess(user);
+
+  return {
+    status: true,
+    ...tokens,
+    user_id: user._id,
+    ...access,           // permission, capabilities, workspace_id
+  };
+};
+
+// Rotated-out hashes kept for reuse detection (about a day of 15-minute refreshes)
+const MAX_PREVIOUS_TOKENS = 100;
+
+// 🚨 Reuse of an old refresh token → someone else holds this session
+const detectReuse = async (hashed) => {
+  const reused = await UserToken.findOne({ previous_tokens: hashed });
+  if (reused && !reused.revoked_at) await reused.revoke("refresh_token_reuse");
+  return { error: reused ? "Refresh token reuse detected" : "Invalid refresh token" };
+};
+
+/**
+ * First factor (password, magic link or a passkey without user verification)
+ * is done; send the 2FA code and return the payload verify-2fa finishes with
+ * @param {Object} user - User document with two_factor_enabled
+ * @returns {Promise<Object>}
+ */
+export const startTwoFactor = async (user) => {
+  const two_factor_token = generateChallengeToken(user, "2fa");
+
+  if (user.two_factor_method === "totp") {
+    return {
+      status: true,
+      message: "Enter the code from your authenticator app",
+      "2fa_required": true,
+      two_factor_method: "totp",
+      two_factor_token,
+      user_id: user._id,
+    };
+  }
+
+  // "sms" → code to the mobile number, otherwise to the email
+  const method = user.two_factor_method === "sms" ? "mobile" : "email";
+  const identifier = method === "mobile" ? user.mobile : user.email;
+
+  // Within the resend cooldown the previously sent code is still valid
+  const { otp, retry_after } = await issueOtp({ identifier, method, purpose: "2fa" });
+  if (otp && method === "email") await sendTemplateEmail(identifier, "two_factor_otp", { otp });
+  else if (otp) await sendSmsOtp(identifier, otp);
+
+  return {
+    status: true,
+    message: otp ? "Two-factor OTP sent" : "Two-factor OTP already sent",
+    ...(retry_after && { retry_after }),
+    "2fa_required": true,
+    two_factor_method: user.two_factor_method,
+    two_factor_token,
+    user_id: user._id,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair (rotation).
+ * Presenting a refresh token that was already rotated out revokes the session;
+ * of two parallel refreshes with the same token only one wins, the other
+ * counts as reuse.
+ * @param {String} refreshToken
+ * @param {Function} loadUser - async (userId) => User document
+ * @param {import("express").Request} req - Incoming request (device details)
+ * @returns {Promise<{error?: String, payload?: Object}>}
+ */
+export const rotateSession = async (refreshToken, loadUser, req) => {
+  const hashed = hashToken(refreshToken);
+
+  const current = await UserToken.findOne({ token: hashed });
+  if (!current) return detectReuse(hashed);
+  if (!current.isActive()) return { error: "Session expired or revoked" };
+
+  const user = await loadUser(current.user_id);
+  if (!user || user.isDeleted()) return { error: "User not found" };
+
+  // 🔒 Claim the rotation on the old hash
+  const now = new Date();
+  const nextRefreshToken = generateRefreshToken();
+  const { ip, user_agent, device_name } = getClientInfo(req);
+  const session = await UserToken.findOneAndUpdate(
+    { token: hashed, revoked_at: null, expires_at: { $gt: now } },
+    {
+      $set: {
+        token: hashToken(nextRefreshToken),
+        expires_at: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+        last_seen_at: now,
+        ...(ip && { ip }),
+        ...(user_agent && { user_agent }),
+        ...(device_name && { device_name }),
+      },
+      $push: { previous_tokens: { $each: [hashed], $slice: -MAX_PREVIOUS_TOKENS } },
+    },
+    { new: true }
+  );
+  if (!session) return detectReuse(hashed);
+
+  return { payload: buildTokenPayload(user, session, nextRefreshToken) };
+};
+
+/**
+ * Record device details and last-seen time for an authenticated request
+ * @param {Object} session - UserToken document
+ * @param {import("express").Request} req
+ */
+export const touchSession = async (session, req) => {
+  const { ip, user_agent } = getClientInfo(req);
+  const stale = !session.last_seen_at || Date.now() - session.last_seen_at.getTime() > LAST_SEEN_THROTTLE_MS;
+  if (!stale && ip === session.ip && user_agent === session.user_agent) return;
+
+  applyClientInfo(session, req);
+  await session.save();
+};
+
+/**
+ * Revoke every live session of a user, optionally keeping one (the caller's)
+ * @param {String|ObjectId} userId
+ * @param {String|ObjectId|null} exceptSessionId
+ * @param {String} reason
+ * @returns {Promise<Number>} number of sessions revoked
+ */
+export const revokeUserSessions = async (userId, exceptSessionId = null, reason = "logout") => {
+  const filter = { user_id: userId, revoked_at: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await UserToken.updateMany(filter, {
+    revoked_at: new Date(),
+    revoked_reason: reason,
+  });
+  return result.modifiedCount;
+};
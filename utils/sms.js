@@ -0,0 +1,119 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import dotenv from "dotenv";
+dotenv.config();
+
+/**
+ * SMS drivers. Pick one with SMS_DRIVER:
+ *  - "msg91": sends through MSG91 (needs MSG91_AUTH_KEY + template ids)
+ *  - "log":   prints to console and appends to SMS_OUTBOX_FILE (dev / tests)
+ * Defaults to "msg91" when MSG91_AUTH_KEY is set, otherwise "log".
+ */
+
+const MSG91_BASE_URL = "https://control.msg91.com/api/v5";
+
+// MSG91 expects the number with country code and without "+"
+const toMsg91Number = (mobile) => {
+  const digits = String(mobile).replace(/\D/g, "");
+  const countryCode = process.env.SMS_DEFAULT_COUNTRY_CODE || "91";
+  return digits.length === 10 ? `${countryCode}${digits}` : digits;
+};
+
+const msg91Request = async (url, body) => {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      authkey: process.env.MSG91_AUTH_KEY,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(body),
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || data.type === "error") {
+    throw new Error(`MSG91 error: ${data.message || response.status}`);
+  }
+  return data;
+};
+
+const msg91Driver = {
+  async sendOtp(to, otp) {
+    const params = new URLSearchParams({
+      template_id: process.env.MSG91_OTP_TEMPLATE_ID,
+      mobile: toMsg91Number(to),
+      otp,
+    });
+    return msg91Request(`${MSG91_BASE_URL}/otp?${params}`, {});
+  },
+
+  async sendMessage(to, message) {
+    return msg91Request(`${MSG91_BASE_URL}/flow/`, {
+      template_id: process.env.MSG91_FLOW_TEMPLATE_ID,
+      recipients: [{ mobiles: toMsg91Number(to), message }],
+    });
+  },
+};
+
+const outboxFile = () =>
+  process.env.SMS_OUTBOX_FILE || path.join(os.tmpdir(), "sms-outbox.jsonl");
+
+const logDriver = {
+  async sendOtp(to, otp) {
+    return this.sendMessage(to, `Your OTP is ${otp}`, { otp });
+  },
+
+  async sendMessage(to, message, extra = {}) {
+    const entry = { to, message, ...extra, sent_at: new Date().toISOString() };
+    console.log(`📱 SMS to ${to}: ${message}`);
+    await fs.appendFile(outboxFile(), `${JSON.stringify(entry)}\n`);
+    return entry;
+  },
+};
+
+const drivers = { msg91: msg91Driver, log: logDriver };
+
+const getDriver = () => {
+  const name = process.env.SMS_DRIVER || (process.env.MSG91_AUTH_KEY ? "msg91" : "log");
+  const driver = drivers[name];
+  if (!driver) throw new Error(`Unknown SMS_DRIVER "${name}"`);
+  // The log driver prints every OTP and writes it to a file on this machine
+  if (name === "log" && process.env.NODE_ENV === "production")
+    throw new Error("No SMS driver configured for production: set MSG91_AUTH_KEY or SMS_DRIVER");
+  return driver;
+};
+
+/**
+ * Throw at startup when SMS can't be delivered (see getDriver)
+ */
+export const assertSmsDriver = () => {
+  getDriver();
+};
+
+/**
+ * Send a one-time code by SMS
+ * @param {string} to - Mobile number
+ * @param {string} otp - Code to deliver
+ */
+export const sendSmsOtp = async (to, otp) => {
+  try {
+    await getDriver().sendOtp(to, String(otp));
+  } catch (err) {
+    console.error("❌ Error sending SMS OTP:", err);
+    throw err;
+  }
+};
+
+/**
+ * Send a plain text SMS
+ * @param {string} to - Mobile number
+ * @param {string} message - Text content
+ */
+export const sendSms = async (to, message) => {
+  try {
+    await getDriver().sendMessage(to, message);
+  } catch (err) {
+    console.error("❌ Error sending SMS:", err);
+    throw err;
+  }
+};
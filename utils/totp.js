@@ -0,0 +1,99 @@
+import crypto from "crypto";
+
+// RFC 6238 TOTP (SHA-1, 6 digits, 30s step) — what Google Authenticator,
+// Authy and Microsoft Authenticator expect by default.
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.replace(/=+$/, "").replace(/\s/g, "").toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const hotp = (secret, counter) => {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return code.toString().padStart(DIGITS, "0");
+};
+
+/**
+ * Generate a new random base32 TOTP secret (160 bits)
+ * @returns {String}
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Build the otpauth:// URI that authenticator apps scan as a QR code
+ * @param {String} secret - base32 secret
+ * @param {String} accountName - shown in the app (email or mobile)
+ * @param {String} issuer
+ * @returns {String}
+ */
+export const buildOtpauthUri = (secret, accountName, issuer = process.env.TOTP_ISSUER || "Marriage Planner") => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Verify a TOTP code, allowing one step of clock drift either way
+ * @param {String} secret - base32 secret
+ * @param {String} code - code entered by the user
+ * @param {Number} window - accepted drift in steps
+ * @returns {Number|null} the time step the code belongs to, or null when it doesn't match
+ */
+export const findTotpStep = (secret, code, window = 1) => {
+  if (!secret || !/^\d{6}$/.test(String(code ?? ""))) return null;
+
+  const counter = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+  for (let i = -window; i <= window; i++) {
+    const expected = hotp(secret, counter + i);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) return counter + i;
+  }
+  return null;
+};
@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+import FamilyPermission, { activeGrantFilter } from "../models/FamilyPermission.js";
+import { PRESETS, resolveCapabilities } from "./capabilities.js";
+
+// A workspace is a household, identified by its owner's user id. Everyone
+// owns their own workspace and joins others through FamilyPermission;
+// grants outside their starts_at/expires_at window don't count.
+
+const ownWorkspace = (user) => ({
+  owner_id: user._id,
+  permission: "owner",
+  capabilities: { ...PRESETS.owner },
+  own: true,
+});
+
+const memberWorkspace = (perm) => ({
+  owner_id: perm.owner_id,
+  permission: perm.permission,
+  capabilities: resolveCapabilities(perm),
+  own: false,
+});
+
+// Oldest matching grant; households whose owner deleted their account stay
+// closed until it is restored or purged
+const findMembership = async (filter) => {
+  const perms = await FamilyPermission.find({ ...filter, ...activeGrantFilter() })
+    .populate("owner_id", "deleted_at")
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const perm = perms.find((p) => p.owner_id && !p.owner_id.deleted_at);
+  return perm ? memberWorkspace({ ...perm, owner_id: perm.owner_id._id }) : null;
+};
+
+/**
+ * Households a user can work in: their own first, then memberships (oldest first)
+ * @param {Object} user - User document
+ * @returns {Promise<Array<{owner_id: ObjectId, permission: String, capabilities: Object, own: Boolean, owner: Object}>>}
+ */
+export const listWorkspaces = async (user) => {
+  const memberships = await FamilyPermission.find({ member_id: user._id, ...activeGrantFilter() })
+    .populate("owner_id", "fullname email mobile profile_url deleted_at")
+    .sort({ createdAt: 1 })
+    .lean();
+
+  return [
+    { ...ownWorkspace(user), owner: user },
+    ...memberships
+      .filter((m) => m.owner_id && !m.owner_id.deleted_at)
+      .map((m) => ({ ...memberWorkspace({ ...m, owner_id: m.owner_id._id }), owner: m.owner_id })),
+  ];
+};
+
+/**
+ * Resolve one workspace for a user
+ * @param {Object} user - User document
+ * @param {String|ObjectId|null} ownerId - requested household (null → the user's default)
+ * @param {Object} [options]
+ * @param {Boolean} [options.defaultToOwn] - without ownerId use the user's own household
+ * @returns {Promise<{owner_id: ObjectId, permission: String, capabilities: Object, own: Boolean}|null>} null when not a member
+ */
+export const resolveWorkspace = async (user, ownerId = null, { defaultToOwn = false } = {}) => {
+  if (ownerId) {
+    if (!mongoose.isValidObjectId(ownerId)) return null;
+    if (user._id.equals(ownerId)) return ownWorkspace(user);
+
+    return findMembership({ owner_id: ownerId, member_id: user._id });
+  }
+
+  if (defaultToOwn) return ownWorkspace(user);
+
+  // Saved choice, if the membership still exists
+  if (user.active_workspace_id) {
+    const saved = await resolveWorkspace(user, user.active_workspace_id);
+    if (saved) return saved;
+  }
+
+  // Members used to work in the household they joined first; keep that as the default
+  return (await findMembership({ member_id: user._id })) ?? ownWorkspace(user);
+};
+
+/**
+ * Owner plus every member of a household holding a capability
+ * @param {String|ObjectId} ownerId
+ * @param {String} capability
+ * @returns {Promise<String[]>} user ids
+ */
+export const listMembersWith = async (ownerId, capability) => {
+  const members = await FamilyPermission.find({ owner_id: ownerId, ...activeGrantFilter() }).select("member_id permission capabilities");
+  return [
+    ownerId.toString(),
+    ...members.filter((m) => resolveCapabilities(m)[capability]).map((m) => m.member_id.toString()),
+  ];
+};